@@ -1,146 +1,105 @@
 import { useEffect, useMemo, useRef, useState } from 'react';
-import ChartView from './ChartView.jsx';
-
-const API_BASE = (import.meta.env.VITE_API_BASE || '').replace(/\/$/, '');
-const MDL_HASH = import.meta.env.VITE_MDL_HASH || 'string';
-const LANGUAGE = import.meta.env.VITE_LANGUAGE || 'English';
-
-const ASK_TIMEOUT_MS = 180_000;
-const CHART_TIMEOUT_MS = 180_000;
-const POLL_INTERVAL_MS = 1_000;
-const PINNED_KEY = 'wren-ui-lite:pinned-charts';
-const CHARTS_KEY = 'wren-ui-lite:chart-history';
-const THREADS_KEY = 'wren-ui-lite:threads';
-const ACTIVE_THREAD_KEY = 'wren-ui-lite:active-thread';
-
-const sleep = (ms, signal) =>
-  new Promise((resolve, reject) => {
-    const timer = setTimeout(resolve, ms);
-    if (!signal) {
-      return;
-    }
-    signal.addEventListener(
-      'abort',
-      () => {
-        clearTimeout(timer);
-        reject(new DOMException('Aborted', 'AbortError'));
-      },
-      { once: true },
-    );
-  });
-
-const buildUrl = (path) => (API_BASE ? `${API_BASE}${path}` : path);
-
-const postJson = async (url, body, signal) => {
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body),
-    signal,
-  });
-
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(text || `Request failed (${response.status})`);
-  }
-
-  return response.json();
-};
-
-const getJson = async (url, signal) => {
-  const response = await fetch(url, { signal });
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(text || `Request failed (${response.status})`);
-  }
-  return response.json();
-};
-
-const startAsk = async (query, threadId, histories, signal) => {
-  const payload = {
-    request_from: 'ui',
-    query,
-    mdl_hash: MDL_HASH,
-  };
-  if (threadId) {
-    payload.thread_id = threadId;
-  }
-  if (histories && histories.length) {
-    payload.histories = histories;
-  }
-
-  const data = await postJson(buildUrl('/v1/asks'), payload, signal);
-  if (!data?.query_id) {
-    throw new Error('Ask request did not return a query id.');
-  }
-  return data.query_id;
-};
-
-const pollAskResult = async (queryId, signal) => {
-  const deadline = Date.now() + ASK_TIMEOUT_MS;
-
-  while (true) {
-    const result = await getJson(
-      buildUrl(`/v1/asks/${queryId}/result`),
-      signal,
-    );
-
-    if (result.status === 'finished') {
-      return result;
-    }
-
-    if (result.status === 'failed' || result.status === 'stopped') {
-      throw new Error(result.error?.message || 'Ask failed.');
-    }
-
-    if (Date.now() > deadline) {
-      throw new Error('Ask timed out.');
-    }
-
-    await sleep(POLL_INTERVAL_MS, signal);
-  }
-};
-
-const startChart = async (query, sql, threadId, signal) => {
-  const payload = {
-    request_from: 'ui',
-    query,
-    sql,
-    remove_data_from_chart_schema: false,
-    configurations: { language: LANGUAGE },
-  };
-  if (threadId) {
-    payload.thread_id = threadId;
-  }
-
-  const data = await postJson(buildUrl('/v1/charts'), payload, signal);
-  if (!data?.query_id) {
-    throw new Error('Chart request did not return a query id.');
-  }
-  return data.query_id;
-};
-
-const pollChartResult = async (queryId, signal) => {
-  const deadline = Date.now() + CHART_TIMEOUT_MS;
-
-  while (true) {
-    const result = await getJson(buildUrl(`/v1/charts/${queryId}`), signal);
-
-    if (result.status === 'finished') {
-      return result;
-    }
-
-    if (result.status === 'failed' || result.status === 'stopped') {
-      throw new Error(result.error?.message || 'Chart generation failed.');
-    }
-
-    if (Date.now() > deadline) {
-      throw new Error('Chart generation timed out.');
-    }
-
-    await sleep(POLL_INTERVAL_MS, signal);
-  }
-};
+import ChartCard from './ChartCard.jsx';
+import DashboardGrid from './DashboardGrid.jsx';
+import DashboardToolbar from './DashboardToolbar.jsx';
+import StorageStatus from './StorageStatus.jsx';
+import WorkspaceDialog from './WorkspaceDialog.jsx';
+import { exportChartsZip } from './chartExport.js';
+import {
+  appendChartVersion,
+  createId,
+  selectChartVersion,
+  updateCurrentVersion,
+} from './chartVersions.js';
+import {
+  getChartRows,
+  getColumns,
+  getEncodingFields,
+  hasInlineData,
+  replaceChartRows,
+} from './chartData.js';
+import { RECORD_KEYS, estimateStorage, loadWorkspace, saveRecord } from './storage.js';
+import {
+  AUTO_REFRESH_INTERVALS,
+  getDailyRefreshCalls,
+  normalizeRefreshInterval,
+} from './autoRefresh.js';
+import { describeSkipped, mergeById } from './workspaceBundle.js';
+import { buildHash, buildRouteUrl, parseRoute } from './router.js';
+import {
+  askStage,
+  chartStage,
+  createProgress,
+  enterStage,
+  finishProgress,
+  withAskDetails,
+} from './pipeline.js';
+import PendingCard from './PendingCard.jsx';
+import SuggestionChips from './SuggestionChips.jsx';
+import ThreadSearch from './ThreadSearch.jsx';
+import SearchResults from './SearchResults.jsx';
+import CrossFilterBar from './CrossFilterBar.jsx';
+import DashboardFilters from './DashboardFilters.jsx';
+import {
+  getChartColumns,
+  getChartFilterTransforms,
+  getDashboardFilters,
+  getFilterOptions,
+  getFilteredFields,
+} from './globalFilters.js';
+import {
+  THEME_MODES,
+  applyTheme,
+  loadThemeMode,
+  resolveTheme,
+  saveThemeMode,
+  watchSystemTheme,
+} from './theme.js';
+import {
+  EMPTY_THREAD_FILTERS,
+  buildSearchIndex,
+  filterThreads,
+  searchThreads,
+} from './search.js';
+import { getClarification, getSqlCandidates } from './askOutcome.js';
+import SettingsDialog from './SettingsDialog.jsx';
+import { findConnection, normalizeConnections } from './connections.js';
+import {
+  pollAskResult,
+  pollChartAdjustmentResult,
+  pollChartResult,
+  pollQuestionRecommendation,
+  startAsk,
+  startChart,
+  startChartAdjustment,
+  startQuestionRecommendation,
+  stopAsk,
+  stopChart,
+} from './apiClient.js';
+import { getErrorMessage } from './apiErrors.js';
+import TrashDialog from './TrashDialog.jsx';
+import UndoToast from './UndoToast.jsx';
+import CommandPalette from './CommandPalette.jsx';
+import { getShortcut, getShortcutKeys } from './shortcuts.js';
+import {
+  EMPTY_TRASH,
+  createChartTrashItem,
+  createDashboardTrashItem,
+  createThreadTrashItem,
+  getTrashItemTitle,
+  insertAt,
+  normalizeTrash,
+  purgeExpired,
+} from './trash.js';
+
+const MAX_FOLLOW_UPS = 3;
+
+const buildHistories = (charts) =>
+  charts
+    .filter((chart) => chart.sql)
+    .map((chart) => ({ question: chart.query, sql: chart.sql }));
+
+const isRunning = (pending) => pending.phase === 'asking' || pending.phase === 'charting';
 
 const formatTimestamp = (value) => {
   if (!value) {
@@ -171,100 +130,248 @@ const extractTitle = (spec, fallback) => {
 
 const normalizeThread = (thread) => ({
   ...thread,
+  title: typeof thread?.title === 'string' && thread.title ? thread.title : 'Thread',
   pinned: Boolean(thread?.pinned),
   charts: Array.isArray(thread?.charts) ? thread.charts : [],
 });
 
+const NEW_DASHBOARD = '__new__';
+
+const RefreshFooter = ({ refreshedAt, state }) => (
+  <div className="chart-footer">
+    {state?.status === 'refreshing' ? 'Refreshing data...' : null}
+    {state?.status === 'error' ? (
+      <span className="chart-footer-error">Refresh failed: {state.message} </span>
+    ) : null}
+    {state?.status !== 'refreshing'
+      ? `Last refreshed: ${formatTimestamp(refreshedAt)}`
+      : null}
+  </div>
+);
+
+const createDashboard = (name, charts = []) => ({
+  id: createId(),
+  name,
+  createdAt: new Date().toISOString(),
+  charts,
+});
+
+const normalizeDashboard = (dashboard) => ({
+  ...dashboard,
+  name: dashboard?.name || 'Dashboard',
+  refreshIntervalMs: normalizeRefreshInterval(dashboard?.refreshIntervalMs),
+  charts: Array.isArray(dashboard?.charts) ? dashboard.charts : [],
+});
+
+const HIGHLIGHT_DURATION_MS = 2_500;
+
+const chartElementId = (chartId) => `chart-${chartId}`;
+
 export default function App() {
   const [query, setQuery] = useState('');
   const [status, setStatus] = useState('idle');
   const [error, setError] = useState('');
+  const [pendingQuestions, setPendingQuestions] = useState([]);
+  const [followUps, setFollowUps] = useState({});
+  const [threadFilters, setThreadFilters] = useState(EMPTY_THREAD_FILTERS);
+  const [crossFilters, setCrossFilters] = useState({});
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [themeMode, setThemeMode] = useState(loadThemeMode);
+  const [theme, setTheme] = useState(() => resolveTheme(themeMode));
   const [threads, setThreads] = useState([]);
-  const [activeThreadId, setActiveThreadId] = useState(null);
-  const [pinnedCharts, setPinnedCharts] = useState([]);
-  const [view, setView] = useState(
-    window.location.hash === '#pinned' ? 'pinned' : 'charts',
+  const [activeThreadId, setActiveThreadId] = useState(
+    () => parseRoute(window.location.hash).threadId,
+  );
+  const [dashboards, setDashboards] = useState([]);
+  const [activeDashboardId, setActiveDashboardId] = useState(
+    () => parseRoute(window.location.hash).dashboardId,
+  );
+  const [view, setView] = useState(() => parseRoute(window.location.hash).view);
+  const [highlightedChartId, setHighlightedChartId] = useState(
+    () => parseRoute(window.location.hash).chartId,
   );
+  const [isWorkspaceLoaded, setIsWorkspaceLoaded] = useState(false);
   const [pinCandidate, setPinCandidate] = useState(null);
+  const [pinTargetId, setPinTargetId] = useState(NEW_DASHBOARD);
+  const [pinNewName, setPinNewName] = useState('');
+  const [dashboardDialog, setDashboardDialog] = useState(null);
   const [deleteCandidate, setDeleteCandidate] = useState(null);
+  const [autoRefreshCandidate, setAutoRefreshCandidate] = useState(null);
   const [isThreadSidebarMinimized, setIsThreadSidebarMinimized] = useState(false);
   const [threadMenuOpenId, setThreadMenuOpenId] = useState(null);
   const [renameThreadId, setRenameThreadId] = useState(null);
   const [renameValue, setRenameValue] = useState('');
   const [deleteThreadId, setDeleteThreadId] = useState(null);
-  const controllerRef = useRef(null);
+  const [isExportingDashboard, setIsExportingDashboard] = useState(false);
+  const [dashboardError, setDashboardError] = useState('');
+  const [refreshState, setRefreshState] = useState({});
+  const [refreshingDashboardId, setRefreshingDashboardId] = useState(null);
+  const [storageErrors, setStorageErrors] = useState({});
+  const [loadErrors, setLoadErrors] = useState([]);
+  const [storageEstimate, setStorageEstimate] = useState(null);
+  const [isWorkspaceOpen, setIsWorkspaceOpen] = useState(false);
+  const [connections, setConnections] = useState(() => normalizeConnections(null));
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [trash, setTrash] = useState(EMPTY_TRASH);
+  const [isTrashOpen, setIsTrashOpen] = useState(false);
+  const [undoItemId, setUndoItemId] = useState(null);
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+  const controllersRef = useRef({});
+  const connectionsRef = useRef(connections);
   const statusTimerRef = useRef(null);
+  const refreshDashboardRef = useRef(null);
+  const keyDownRef = useRef(null);
+  const queryInputRef = useRef(null);
+  const estimateTimerRef = useRef(null);
+  // Records that failed to load are never written, so a save can't replace
+  // them with the empty in-memory state.
+  const lockedKeysRef = useRef(new Set());
+  const scrolledChartRef = useRef(null);
   const sidebarWidth = isThreadSidebarMinimized ? '56px' : '240px';
+  const activeDashboard =
+    dashboards.find((dashboard) => dashboard.id === activeDashboardId) || null;
+  const pinnedCharts = activeDashboard?.charts || [];
 
   useEffect(() => {
-    const storedThreads = localStorage.getItem(THREADS_KEY);
-    if (storedThreads) {
-      try {
-        const parsed = JSON.parse(storedThreads);
-        if (Array.isArray(parsed)) {
-          setThreads(parsed.map(normalizeThread));
-        } else {
-          setThreads([]);
+    let cancelled = false;
+    loadWorkspace()
+      .then(({ records, readErrors }) => {
+        if (cancelled) {
+          return;
         }
-      } catch {
-        setThreads([]);
-      }
-    } else {
-      const storedCharts = localStorage.getItem(CHARTS_KEY);
-      if (storedCharts) {
-        try {
-          const legacyCharts = JSON.parse(storedCharts);
-          if (Array.isArray(legacyCharts) && legacyCharts.length) {
-            const migratedThread = {
-              id: crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}`,
-              title: legacyCharts[0]?.query || 'Thread',
-              createdAt: legacyCharts[0]?.createdAt || new Date().toISOString(),
-              pinned: false,
-              charts: legacyCharts,
-            };
-            setThreads([migratedThread]);
-            localStorage.setItem(THREADS_KEY, JSON.stringify([migratedThread]));
-          }
-        } catch {
-          setThreads([]);
+        readErrors.forEach((err) => lockedKeysRef.current.add(err.key));
+        setLoadErrors(readErrors.map((err) => err.message));
+        setThreads(
+          Array.isArray(records.threads) ? records.threads.map(normalizeThread) : [],
+        );
+        setDashboards(
+          Array.isArray(records.dashboards)
+            ? records.dashboards.map(normalizeDashboard)
+            : [],
+        );
+        const storedTrash = normalizeTrash(records.trash);
+        const liveTrash = purgeExpired(storedTrash);
+        setTrash(liveTrash);
+        if (liveTrash !== storedTrash) {
+          writeRecord(RECORD_KEYS.trash, liveTrash);
         }
-      }
-    }
-
-    const storedActive = localStorage.getItem(ACTIVE_THREAD_KEY);
-    if (storedActive) {
-      setActiveThreadId(storedActive);
-    }
-
-    const stored = localStorage.getItem(PINNED_KEY);
-    if (stored) {
-      try {
-        setPinnedCharts(JSON.parse(stored));
-      } catch {
-        setPinnedCharts([]);
-      }
-    }
+        const storedConnections = normalizeConnections(records.connections);
+        connectionsRef.current = storedConnections;
+        setConnections(storedConnections);
+        if (Array.isArray(records.pendingQuestions)) {
+          setPendingQuestions(records.pendingQuestions);
+          records.pendingQuestions.filter(isRunning).forEach(runQuestion);
+        }
+        const route = parseRoute(window.location.hash);
+        if (records.activeThreadId && !route.threadId) {
+          setActiveThreadId(records.activeThreadId);
+        }
+        if (records.activeDashboardId && !route.dashboardId) {
+          setActiveDashboardId(records.activeDashboardId);
+        }
+        setIsWorkspaceLoaded(true);
+      })
+      .catch((err) => {
+        if (cancelled) {
+          return;
+        }
+        Object.values(RECORD_KEYS).forEach((key) => lockedKeysRef.current.add(key));
+        setLoadErrors([
+          `${err?.message || 'Unable to load saved data.'} The workspace is read-only: changes made now won't be saved.`,
+        ]);
+      })
+      .finally(() => {
+        if (!cancelled) {
+          updateStorageEstimate();
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
   }, []);
 
   useEffect(() => {
     const onHashChange = () => {
-      setView(window.location.hash === '#pinned' ? 'pinned' : 'charts');
+      applyRoute(parseRoute(window.location.hash));
     };
     window.addEventListener('hashchange', onHashChange);
     return () => window.removeEventListener('hashchange', onHashChange);
   }, []);
 
   useEffect(() => {
-    if (activeThreadId && !threads.find((thread) => thread.id === activeThreadId)) {
+    if (
+      isWorkspaceLoaded &&
+      activeThreadId &&
+      !threads.find((thread) => thread.id === activeThreadId)
+    ) {
       persistActiveThread(null);
     }
-  }, [threads, activeThreadId]);
+  }, [isWorkspaceLoaded, threads, activeThreadId]);
 
   useEffect(() => {
-    if (!activeThreadId && threads.length > 0) {
+    if (isWorkspaceLoaded && !activeThreadId && threads.length > 0) {
       persistActiveThread(threads[0].id);
     }
-  }, [threads, activeThreadId]);
+  }, [isWorkspaceLoaded, threads, activeThreadId]);
+
+  useEffect(() => {
+    if (isWorkspaceLoaded && dashboards.length && !activeDashboard) {
+      persistActiveDashboard(dashboards[0].id);
+    }
+  }, [isWorkspaceLoaded, dashboards, activeDashboard]);
+
+  // Keep the address bar pointing at what is on screen without adding history
+  // entries for automatic selections (first thread, fallback dashboard, ...).
+  useEffect(() => {
+    if (!isWorkspaceLoaded) {
+      return;
+    }
+    const route = parseRoute(window.location.hash);
+    const inSync =
+      route.view === view &&
+      (view === 'pinned'
+        ? route.dashboardId === activeDashboardId
+        : route.threadId === activeThreadId);
+    if (!inSync) {
+      window.history.replaceState(
+        null,
+        '',
+        buildHash({ view, threadId: activeThreadId, dashboardId: activeDashboardId }),
+      );
+    }
+  }, [isWorkspaceLoaded, view, activeThreadId, activeDashboardId]);
+
+  useEffect(() => {
+    if (!highlightedChartId || scrolledChartRef.current === highlightedChartId) {
+      return;
+    }
+    const element = document.getElementById(chartElementId(highlightedChartId));
+    if (!element) {
+      return;
+    }
+    scrolledChartRef.current = highlightedChartId;
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setTimeout(() => {
+      scrolledChartRef.current = null;
+      setHighlightedChartId((current) =>
+        current === highlightedChartId ? null : current,
+      );
+    }, HIGHLIGHT_DURATION_MS);
+  }, [highlightedChartId, view, threads, dashboards, activeThreadId, activeDashboardId]);
+
+  useEffect(() => {
+    const dashboardId = activeDashboard?.id;
+    const interval = activeDashboard?.refreshIntervalMs;
+    if (view !== 'pinned' || !dashboardId || !interval) {
+      return undefined;
+    }
+    const timer = setInterval(() => {
+      if (!document.hidden && refreshDashboardRef.current) {
+        refreshDashboardRef.current(dashboardId);
+      }
+    }, interval);
+    return () => clearInterval(timer);
+  }, [view, activeDashboard?.id, activeDashboard?.refreshIntervalMs]);
 
   useEffect(() => {
     if (statusTimerRef.current) {
@@ -286,151 +393,839 @@ export default function App() {
     };
   }, [status]);
 
+  useEffect(
+    () => () => {
+      Object.values(controllersRef.current).forEach((controller) => controller.abort());
+    },
+    [],
+  );
+
+  useEffect(() => {
+    if (isWorkspaceLoaded) {
+      writeRecord(RECORD_KEYS.pendingQuestions, pendingQuestions);
+    }
+  }, [isWorkspaceLoaded, pendingQuestions]);
+
+  useEffect(() => {
+    const updateOnline = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', updateOnline);
+    window.addEventListener('offline', updateOnline);
+    return () => {
+      window.removeEventListener('online', updateOnline);
+      window.removeEventListener('offline', updateOnline);
+    };
+  }, []);
+
+  useEffect(() => {
+    const onKeyDown = (event) => keyDownRef.current?.(event);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  useEffect(() => {
+    saveThemeMode(themeMode);
+    setTheme(resolveTheme(themeMode));
+    return themeMode === 'system' ? watchSystemTheme(setTheme) : undefined;
+  }, [themeMode]);
+
+  useEffect(() => {
+    applyTheme(theme);
+  }, [theme]);
+
+  const isSearching = Boolean(threadFilters.query.trim());
+  const pinnedChartIds = useMemo(
+    () =>
+      new Set(dashboards.flatMap((dashboard) => dashboard.charts.map((chart) => chart.id))),
+    [dashboards],
+  );
+  const searchIndex = useMemo(
+    () => (isSearching ? buildSearchIndex(threads) : []),
+    [threads, isSearching],
+  );
+  const searchResults = isSearching
+    ? searchThreads(searchIndex, threadFilters, pinnedChartIds)
+    : [];
+  const visibleThreads = filterThreads(threads, threadFilters, pinnedChartIds);
+
+  const activeCrossFilters = (crossFilters[activeDashboard?.id] || []).filter((filter) =>
+    pinnedCharts.some((chart) => chart.id === filter.sourceChartId),
+  );
+
+  const dashboardFilters = getDashboardFilters(activeDashboard);
+  const filteredFields = getFilteredFields(dashboardFilters);
+  const filterOptions = useMemo(
+    () =>
+      view === 'pinned'
+        ? getFilterOptions(pinnedCharts)
+        : { dateFields: [], categoryFields: [] },
+    [view, pinnedCharts],
+  );
+  const pinnedDataFilters = new Map(
+    pinnedCharts.map((chart) => [
+      chart.id,
+      filteredFields.length
+        ? getChartFilterTransforms(chart, dashboardFilters, getChartColumns(chart))
+        : [],
+    ]),
+  );
+
+  const activeThread = threads.find((thread) => thread.id === activeThreadId);
+  const undoItem = trash.items.find((item) => item.id === undoItemId) || null;
+  const activeThreadCharts = activeThread?.charts || [];
+  const activeConnection = findConnection(
+    connections,
+    activeThread?.connectionId || connections.activeId,
+  );
+  const activeFollowUps =
+    followUps[activeThreadId]?.chartId === activeThreadCharts.at(-1)?.id
+      ? followUps[activeThreadId].questions
+      : [];
+  const activePending = pendingQuestions.filter(
+    (pending) => pending.threadId === activeThreadId,
+  );
+  const otherPendingCount = pendingQuestions.filter(
+    (pending) => pending.threadId !== activeThreadId && isRunning(pending),
+  ).length;
+  const pendingThreadIds = new Set(
+    pendingQuestions.filter(isRunning).map((pending) => pending.threadId),
+  );
+
   const statusLabel = useMemo(() => {
-    if (status === 'asking') return 'Understanding your question...';
-    if (status === 'charting') return 'Generating chart...';
     if (status === 'done') return 'Chart ready.';
     return '';
   }, [status]);
 
+  const updateStorageEstimate = () => {
+    if (estimateTimerRef.current) {
+      return;
+    }
+    estimateTimerRef.current = setTimeout(() => {
+      estimateTimerRef.current = null;
+      estimateStorage()
+        .then(setStorageEstimate)
+        .catch(() => setStorageEstimate(null));
+    }, 1000);
+  };
+
+  const writeRecord = (key, value) => {
+    if (lockedKeysRef.current.has(key)) {
+      return;
+    }
+    saveRecord(key, value)
+      .then(() => {
+        setStorageErrors((prev) => {
+          if (!prev[key]) {
+            return prev;
+          }
+          const next = { ...prev };
+          delete next[key];
+          return next;
+        });
+        updateStorageEstimate();
+      })
+      .catch((err) => {
+        console.warn(`Failed to persist ${key}:`, err);
+        setStorageErrors((prev) => ({ ...prev, [key]: err.message }));
+      });
+  };
+
+  const persistDashboards = (updater) => {
+    setDashboards((prev) => {
+      const next = typeof updater === 'function' ? updater(prev) : updater;
+      writeRecord(RECORD_KEYS.dashboards, next);
+      return next;
+    });
+  };
+
+  const persistActiveDashboard = (dashboardId) => {
+    setActiveDashboardId(dashboardId);
+    writeRecord(RECORD_KEYS.activeDashboardId, dashboardId);
+  };
+
+  const updateDashboardCharts = (dashboardId, updater) => {
+    persistDashboards((prev) =>
+      prev.map((dashboard) =>
+        dashboard.id === dashboardId
+          ? { ...dashboard, charts: updater(dashboard.charts) }
+          : dashboard,
+      ),
+    );
+  };
+
   const persistPinnedCharts = (next) => {
-    setPinnedCharts(next);
-    try {
-      localStorage.setItem(PINNED_KEY, JSON.stringify(next));
-    } catch (err) {
-      console.warn('Failed to persist pinned charts:', err);
+    if (activeDashboard) {
+      updateDashboardCharts(activeDashboard.id, () => next);
     }
   };
 
   const persistThreads = (updater) => {
     setThreads((prev) => {
       const next = typeof updater === 'function' ? updater(prev) : updater;
-      try {
-        localStorage.setItem(THREADS_KEY, JSON.stringify(next));
-      } catch (err) {
-        console.warn('Failed to persist threads:', err);
-      }
+      writeRecord(RECORD_KEYS.threads, next);
+      return next;
+    });
+  };
+
+  const persistTrash = (updater) => {
+    setTrash((prev) => {
+      const next = purgeExpired(typeof updater === 'function' ? updater(prev) : updater);
+      writeRecord(RECORD_KEYS.trash, next);
       return next;
     });
   };
 
+  // The undo toast is only offered when a single item was deleted.
+  const moveToTrash = (...items) => {
+    if (!items.length) {
+      return;
+    }
+    persistTrash((prev) => ({ ...prev, items: [...prev.items, ...items] }));
+    setUndoItemId(items.length === 1 ? items[0].id : null);
+  };
+
+  const removeFromTrash = (itemId) => {
+    persistTrash((prev) => ({
+      ...prev,
+      items: prev.items.filter((item) => item.id !== itemId),
+    }));
+    setUndoItemId((prev) => (prev === itemId ? null : prev));
+  };
+
+  // Charts go back to their dashboard; if that dashboard was deleted since,
+  // it is recreated with the same id and name, and restoring the dashboard
+  // later adds back the charts it is missing.
+  const restoreTrashItem = (item) => {
+    if (item.kind === 'thread') {
+      persistThreads((prev) =>
+        prev.some((thread) => thread.id === item.thread.id)
+          ? prev
+          : insertAt(prev, item.index, item.thread),
+      );
+    } else if (item.kind === 'dashboard') {
+      persistDashboards((prev) => {
+        const existing = prev.find((dashboard) => dashboard.id === item.dashboard.id);
+        if (!existing) {
+          return insertAt(prev, item.index, item.dashboard);
+        }
+        const missing = item.dashboard.charts.filter(
+          (chart) => !existing.charts.some((current) => current.id === chart.id),
+        );
+        return prev.map((dashboard) =>
+          dashboard === existing
+            ? { ...dashboard, charts: [...dashboard.charts, ...missing] }
+            : dashboard,
+        );
+      });
+    } else if (dashboards.some((dashboard) => dashboard.id === item.dashboardId)) {
+      updateDashboardCharts(item.dashboardId, (charts) =>
+        charts.some((chart) => chart.id === item.chart.id)
+          ? charts
+          : insertAt(charts, item.index, item.chart),
+      );
+    } else {
+      persistDashboards((prev) => [
+        ...prev,
+        { ...createDashboard(item.dashboardName, [item.chart]), id: item.dashboardId },
+      ]);
+    }
+    removeFromTrash(item.id);
+  };
+
+  const persistConnections = (next) => {
+    connectionsRef.current = next;
+    setConnections(next);
+    writeRecord(RECORD_KEYS.connections, next);
+  };
+
+  // Questions and charts keep the id of the connection they were asked
+  // against; older records without one use the active connection.
+  const getConnection = (connectionId) =>
+    findConnection(connectionsRef.current, connectionId);
+
+  const getChartConnection = (chart) =>
+    getConnection(
+      chart.connectionId ||
+        threads.find((thread) => thread.id === chart.threadId)?.connectionId,
+    );
+
   const persistActiveThread = (threadId) => {
     setActiveThreadId(threadId);
-    if (threadId) {
-      localStorage.setItem(ACTIVE_THREAD_KEY, threadId);
-    } else {
-      localStorage.removeItem(ACTIVE_THREAD_KEY);
+    writeRecord(RECORD_KEYS.activeThreadId, threadId);
+  };
+
+  const applyRoute = (route) => {
+    setView(route.view);
+    if (route.threadId) {
+      persistActiveThread(route.threadId);
     }
+    if (route.dashboardId) {
+      persistActiveDashboard(route.dashboardId);
+    }
+    scrolledChartRef.current = null;
+    setHighlightedChartId(route.chartId);
   };
 
-  const navigate = (nextView) => {
-    setView(nextView);
-    window.location.hash = nextView === 'pinned' ? '#pinned' : '#charts';
+  const navigate = (route) => {
+    applyRoute(route);
+    const hash = buildHash(route);
+    if (window.location.hash !== hash) {
+      window.location.hash = hash;
+    }
   };
 
-  const handleSubmit = async (event) => {
-    event.preventDefault();
+  const updatePending = (pendingId, patch) => {
+    setPendingQuestions((prev) =>
+      prev.map((item) =>
+        item.id === pendingId
+          ? { ...item, ...(typeof patch === 'function' ? patch(item) : patch) }
+          : item,
+      ),
+    );
+  };
+
+  const removePending = (pendingId) => {
+    delete controllersRef.current[pendingId];
+    setPendingQuestions((prev) => prev.filter((item) => item.id !== pendingId));
+  };
 
-    if (!query.trim()) {
+  // Suggestions are optional: without an MDL, or when the request fails, the
+  // thread simply shows none.
+  const loadFollowUps = async (connection, threadId, chartId, histories) => {
+    if (!connection.mdl && !connection.demo) {
       return;
     }
+    setFollowUps((prev) => ({ ...prev, [threadId]: { chartId, questions: [] } }));
+    try {
+      const recommendationId = await startQuestionRecommendation(
+        connection,
+        histories.map((history) => history.question),
+        MAX_FOLLOW_UPS,
+      );
+      const result = await pollQuestionRecommendation(connection, recommendationId);
+      const questions = (result?.response?.questions || [])
+        .map((item) => item?.question?.trim())
+        .filter(Boolean)
+        .slice(0, MAX_FOLLOW_UPS);
+      setFollowUps((prev) =>
+        prev[threadId]?.chartId === chartId
+          ? { ...prev, [threadId]: { chartId, questions } }
+          : prev,
+      );
+    } catch {
+      setFollowUps((prev) =>
+        prev[threadId]?.chartId === chartId ? { ...prev, [threadId]: null } : prev,
+      );
+    }
+  };
+
+  const askFollowUp = (question) => {
+    setFollowUps((prev) => ({ ...prev, [activeThreadId]: null }));
+    askQuestion(question);
+  };
+
+  const failQuestion = (pendingId, err) => {
+    if (err?.name === 'AbortError') {
+      return;
+    }
+    delete controllersRef.current[pendingId];
+    updatePending(pendingId, (item) => ({
+      phase: 'error',
+      error: getErrorMessage(err),
+      progress: finishProgress(item.progress),
+    }));
+  };
 
-    if (controllerRef.current) {
-      controllerRef.current.abort();
+  // A pending question restored after a reload already has its query ids, so
+  // polling picks up the existing jobs instead of starting new ones.
+  const runChart = async (pending, sql, signal) => {
+    const connection = getConnection(pending.connectionId);
+    let { chartQueryId } = pending;
+    updatePending(pending.id, (item) => ({
+      phase: 'charting',
+      sql,
+      progress: chartQueryId ? item.progress : enterStage(item.progress, 'chart:fetching'),
+    }));
+
+    if (!chartQueryId) {
+      // Stop may have been pressed while the ask was finishing.
+      if (signal.aborted) {
+        throw new DOMException('Aborted', 'AbortError');
+      }
+      chartQueryId = await startChart(
+        connection,
+        pending.query,
+        sql,
+        pending.threadId,
+        signal,
+      );
+      if (signal.aborted) {
+        stopChart(connection, chartQueryId).catch(() => {});
+        throw new DOMException('Aborted', 'AbortError');
+      }
+      updatePending(pending.id, { chartQueryId });
+    }
+    const chartResult = await pollChartResult(connection, chartQueryId, signal, (result) => {
+      updatePending(pending.id, (item) => ({
+        progress: enterStage(item.progress, chartStage(result.status)),
+      }));
+    });
+    const spec = chartResult?.response?.chart_schema;
+
+    if (!spec) {
+      throw new Error('Chart was not generated.');
     }
 
+    const chartPayload = {
+      id: createId(),
+      threadId: pending.threadId,
+      connectionId: connection.id,
+      query: pending.query,
+      title: extractTitle(spec, pending.query),
+      sql,
+      spec,
+      createdAt: new Date().toISOString(),
+    };
+
+    persistThreads((prev) =>
+      prev.map((thread) =>
+        thread.id === pending.threadId
+          ? { ...thread, charts: [...thread.charts, chartPayload] }
+          : thread,
+      ),
+    );
+    removePending(pending.id);
+    setStatus('done');
+    loadFollowUps(connection, pending.threadId, chartPayload.id, [
+      ...pending.histories,
+      { question: pending.query, sql },
+    ]);
+  };
+
+  const runQuestion = async (pending) => {
     const controller = new AbortController();
-    controllerRef.current = controller;
+    controllersRef.current[pending.id] = controller;
+    const { signal } = controller;
+
+    try {
+      if (pending.phase === 'charting' && pending.sql) {
+        await runChart(pending, pending.sql, signal);
+        return;
+      }
+
+      const connection = getConnection(pending.connectionId);
+      let { askQueryId } = pending;
+      if (!askQueryId) {
+        askQueryId = await startAsk(
+          connection,
+          pending.query,
+          pending.threadId,
+          pending.histories,
+          signal,
+        );
+        updatePending(pending.id, { askQueryId });
+      }
+      const askResult = await pollAskResult(connection, askQueryId, signal, (result) => {
+        updatePending(pending.id, (item) => ({
+          progress: withAskDetails(enterStage(item.progress, askStage(result.status)), result),
+        }));
+      });
+
+      const clarification = getClarification(askResult, pending.query);
+      if (clarification) {
+        delete controllersRef.current[pending.id];
+        updatePending(pending.id, (item) => ({
+          phase: 'clarify',
+          clarification,
+          progress: finishProgress(item.progress),
+        }));
+        return;
+      }
+
+      const candidates = getSqlCandidates(askResult);
+      if (!candidates.length) {
+        throw new Error('No SQL was returned for this query.');
+      }
+      if (candidates.length > 1) {
+        updatePending(pending.id, (item) => ({
+          phase: 'choosing',
+          candidates,
+          progress: finishProgress(item.progress),
+        }));
+        return;
+      }
 
+      await runChart(pending, candidates[0].sql, signal);
+    } catch (err) {
+      failQuestion(pending.id, err);
+    }
+  };
+
+  // runChart moves the question to `charting` before its first await, and React
+  // re-renders between clicks, so a second click sees the new phase.
+  const chooseCandidate = async (pending, candidate) => {
+    if (pending.phase !== 'choosing') {
+      return;
+    }
+    const controller = controllersRef.current[pending.id] || new AbortController();
+    controllersRef.current[pending.id] = controller;
+
+    try {
+      await runChart(pending, candidate.sql, controller.signal);
+    } catch (err) {
+      failQuestion(pending.id, err);
+    }
+  };
+
+  const askQuestion = (question) => {
     setError('');
-    setStatus('asking');
 
+    let threadId = activeThreadId;
+    const currentThread = threads.find((thread) => thread.id === threadId);
+    const connection = getConnection(currentThread?.connectionId);
+    if (!currentThread) {
+      threadId = createId();
+      persistThreads((prev) => [
+        ...prev,
+        {
+          id: threadId,
+          connectionId: connection.id,
+          title: question,
+          createdAt: new Date().toISOString(),
+          pinned: false,
+          charts: [],
+        },
+      ]);
+      navigate({ view: 'charts', threadId });
+    } else {
+      const isUntitled =
+        currentThread.title === 'New thread' && currentThread.charts.length === 0;
+      if (isUntitled || !currentThread.connectionId) {
+        persistThreads((prev) =>
+          prev.map((thread) =>
+            thread.id === threadId
+              ? {
+                  ...thread,
+                  connectionId: connection.id,
+                  title: isUntitled ? question : thread.title,
+                }
+              : thread,
+          ),
+        );
+      }
+    }
+
+    const histories = buildHistories(currentThread?.charts || []);
+    const pending = {
+      id: createId(),
+      threadId,
+      connectionId: connection.id,
+      query: question,
+      createdAt: new Date().toISOString(),
+      phase: 'asking',
+      progress: enterStage(createProgress(), 'understanding'),
+      histories,
+    };
+
+    setPendingQuestions((prev) => [...prev, pending]);
+    runQuestion(pending);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+
+    const question = query.trim();
+    if (!question) {
+      return;
+    }
+
+    setQuery('');
+    askQuestion(question);
+  };
+
+  const askSuggestion = (pending, question) => {
+    removePending(pending.id);
+    askQuestion(question);
+  };
+
+  const stopQuestion = (pending) => {
+    controllersRef.current[pending.id]?.abort();
+    removePending(pending.id);
+    if (!isRunning(pending)) {
+      return;
+    }
+    // Only the job of the current phase is still running: once charting starts
+    // the ask has finished, and a chart that isn't created yet never will be
+    // since runChart checks the aborted signal.
+    const connection = getConnection(pending.connectionId);
+    let stopRequest = null;
+    if (pending.phase === 'charting' && pending.chartQueryId) {
+      stopRequest = stopChart(connection, pending.chartQueryId);
+    } else if (pending.phase === 'asking' && pending.askQueryId) {
+      stopRequest = stopAsk(connection, pending.askQueryId);
+    }
+    // The question is already gone from the UI; if the service misses the stop,
+    // its job just runs to completion unobserved.
+    stopRequest?.catch(() => {});
+  };
+
+  const updateThreadChart = (chartId, updater) => {
+    persistThreads((prev) =>
+      prev.map((thread) =>
+        thread.charts.some((chart) => chart.id === chartId)
+          ? {
+              ...thread,
+              charts: thread.charts.map((chart) =>
+                chart.id === chartId ? updater(chart) : chart,
+              ),
+            }
+          : thread,
+      ),
+    );
+  };
+
+  const updatePinnedChart = (chartId, updater) => {
+    if (!activeDashboard) {
+      return;
+    }
+    updateDashboardCharts(activeDashboard.id, (charts) =>
+      charts.map((chart) => (chart.id === chartId ? updater(chart) : chart)),
+    );
+  };
+
+  const rerunChartSql = async (chart, sql, updateChart) => {
+    const connection = getChartConnection(chart);
+    const chartQueryId = await startChart(connection, chart.query, sql, chart.threadId);
+    const chartResult = await pollChartResult(connection, chartQueryId);
+    const spec = chartResult?.response?.chart_schema;
+
+    if (!spec) {
+      throw new Error('Chart was not generated.');
+    }
+
+    updateChart(chart.id, (current) =>
+      appendChartVersion(current, {
+        source: 'sql',
+        sql,
+        spec,
+        title: extractTitle(spec, current.query),
+      }),
+    );
+  };
+
+  const adjustChart = async (chart, instruction, updateChart) => {
+    const connection = getChartConnection(chart);
+    const adjustmentId = await startChartAdjustment(connection, chart, instruction);
+    const result = await pollChartAdjustmentResult(connection, adjustmentId);
+    const spec = result?.response?.chart_schema;
+
+    if (!spec) {
+      throw new Error('Chart was not adjusted.');
+    }
+
+    updateChart(chart.id, (current) =>
+      appendChartVersion(current, {
+        source: 'adjust',
+        instruction,
+        sql: current.sql,
+        spec,
+        title: extractTitle(spec, current.query),
+      }),
+    );
+  };
+
+  const saveChartEdit = (chartId, spec, updateChart) => {
+    updateChart(chartId, (current) =>
+      appendChartVersion(current, {
+        source: 'editor',
+        sql: current.sql,
+        spec,
+        title: current.title,
+      }),
+    );
+  };
+
+  const selectVersion = (chartId, index, updateChart) => {
+    updateChart(chartId, (current) => selectChartVersion(current, index));
+  };
+
+  const refreshKey = (dashboardId, chartId) => `${dashboardId}:${chartId}`;
+
+  const fetchFreshRows = async (chart) => {
+    const connection = getChartConnection(chart);
+    const chartQueryId = await startChart(
+      connection,
+      chart.query,
+      chart.sql,
+      chart.threadId,
+    );
+    const chartResult = await pollChartResult(connection, chartQueryId);
+    const spec = chartResult?.response?.chart_schema;
+    if (!hasInlineData(spec)) {
+      throw new Error('Refresh did not return any data.');
+    }
+    const rows = getChartRows(spec);
+    // The rows come from a newly generated chart, so their columns can differ
+    // from the ones the saved design encodes.
+    const columns = new Set(getColumns(rows));
+    const missing = rows.length
+      ? getEncodingFields(chart.spec).filter((field) => !columns.has(field))
+      : [];
+    if (missing.length) {
+      throw new Error(
+        `Refresh returned data without the fields this chart uses: ${missing.join(', ')}.`,
+      );
+    }
+    return rows;
+  };
+
+  const refreshPinnedChart = async (dashboardId, chart) => {
+    const key = refreshKey(dashboardId, chart.id);
+    setRefreshState((prev) => ({ ...prev, [key]: { status: 'refreshing' } }));
     try {
-      const threadId =
-        activeThreadId || (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}`);
-      const isNewThread = !activeThreadId;
-      const currentThread = threads.find((thread) => thread.id === threadId);
-      const histories = currentThread
-        ? currentThread.charts
-            .filter((chart) => chart.sql)
-            .map((chart) => ({ question: chart.query, sql: chart.sql }))
-        : [];
-      const askQueryId = await startAsk(
-        query.trim(),
-        threadId,
-        histories,
-        controller.signal,
+      if (!chart.sql) {
+        throw new Error('This chart has no SQL to re-run.');
+      }
+      if (!hasInlineData(chart.spec)) {
+        throw new Error('This chart has no embedded data to refresh.');
+      }
+      const rows = await fetchFreshRows(chart);
+      const refreshedAt = new Date().toISOString();
+      updateDashboardCharts(dashboardId, (charts) =>
+        charts.map((item) =>
+          item.id === chart.id && hasInlineData(item.spec)
+            ? updateCurrentVersion(item, {
+                spec: replaceChartRows(item.spec, rows),
+                refreshedAt,
+              })
+            : item,
+        ),
       );
-      const askResult = await pollAskResult(askQueryId, controller.signal);
-      const sql = askResult?.response?.[0]?.sql;
+      setRefreshState((prev) => {
+        const next = { ...prev };
+        delete next[key];
+        return next;
+      });
+    } catch (err) {
+      setRefreshState((prev) => ({
+        ...prev,
+        [key]: { status: 'error', message: getErrorMessage(err, 'Refresh failed.') },
+      }));
+    }
+  };
+
+  const refreshDashboard = async (dashboardId) => {
+    const dashboard = dashboards.find((item) => item.id === dashboardId);
+    if (!dashboard || refreshingDashboardId) {
+      return;
+    }
+    setRefreshingDashboardId(dashboardId);
+    try {
+      for (const chart of dashboard.charts) {
+        await refreshPinnedChart(dashboardId, chart);
+      }
+    } finally {
+      setRefreshingDashboardId(null);
+    }
+  };
+  refreshDashboardRef.current = refreshDashboard;
+
+  const setDashboardRefreshInterval = (dashboardId, refreshIntervalMs) => {
+    persistDashboards((prev) =>
+      prev.map((dashboard) =>
+        dashboard.id === dashboardId ? { ...dashboard, refreshIntervalMs } : dashboard,
+      ),
+    );
+  };
+
+  // Turning auto-refresh on (or changing its interval) is confirmed first.
+  const requestRefreshInterval = (dashboard, refreshIntervalMs) => {
+    if (refreshIntervalMs) {
+      setAutoRefreshCandidate({ dashboardId: dashboard.id, refreshIntervalMs });
+    } else {
+      setDashboardRefreshInterval(dashboard.id, 0);
+    }
+  };
+
+  const confirmAutoRefresh = () => {
+    if (autoRefreshCandidate) {
+      setDashboardRefreshInterval(
+        autoRefreshCandidate.dashboardId,
+        autoRefreshCandidate.refreshIntervalMs,
+      );
+    }
+    setAutoRefreshCandidate(null);
+  };
+
+  const cancelAutoRefresh = () => {
+    setAutoRefreshCandidate(null);
+  };
 
-      if (!sql) {
-        throw new Error('No SQL was returned for this query.');
+  const autoRefreshDashboard = autoRefreshCandidate
+    ? dashboards.find((dashboard) => dashboard.id === autoRefreshCandidate.dashboardId)
+    : null;
+
+  // One filter per field; clicking the selected value again, or empty space in
+  // the chart that set the filter, removes it.
+  const setCrossFilter = (dashboardId, chartId, field, values) => {
+    setCrossFilters((prev) => {
+      const current = prev[dashboardId] || [];
+      const existing = current.find((filter) => filter.field === field);
+      const others = current.filter((filter) => filter.field !== field);
+      const ownsFilter = existing?.sourceChartId === chartId;
+      const isSame =
+        ownsFilter &&
+        existing.values.length === values.length &&
+        existing.values.every((value) => values.includes(value));
+      if (!values.length || isSame) {
+        return ownsFilter ? { ...prev, [dashboardId]: others } : prev;
       }
+      return {
+        ...prev,
+        [dashboardId]: [...others, { field, values, sourceChartId: chartId }],
+      };
+    });
+  };
 
-      setStatus('charting');
-
-      const chartQueryId = await startChart(
-        query.trim(),
-        sql,
-        threadId,
-        controller.signal,
-      );
-      const chartResult = await pollChartResult(
-        chartQueryId,
-        controller.signal,
-      );
-      const spec = chartResult?.response?.chart_schema;
+  const removeCrossFilter = (dashboardId, field) => {
+    setCrossFilters((prev) => ({
+      ...prev,
+      [dashboardId]: (prev[dashboardId] || []).filter((filter) => filter.field !== field),
+    }));
+  };
 
-      if (!spec) {
-        throw new Error('Chart was not generated.');
-      }
+  const setDashboardFilters = (dashboardId, filters) => {
+    persistDashboards((prev) =>
+      prev.map((dashboard) =>
+        dashboard.id === dashboardId ? { ...dashboard, filters } : dashboard,
+      ),
+    );
+  };
 
-      const chartPayload = {
-        id: crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}`,
-        threadId,
-        query: query.trim(),
-        title: extractTitle(spec, query.trim()),
-        sql,
-        spec,
-        createdAt: new Date().toISOString(),
-      };
+  const setDashboardPalette = (dashboardId, palette) => {
+    persistDashboards((prev) =>
+      prev.map((dashboard) =>
+        dashboard.id === dashboardId ? { ...dashboard, palette } : dashboard,
+      ),
+    );
+  };
 
-      persistThreads((prev) => {
-        const next = [...prev];
-        const threadIndex = next.findIndex((thread) => thread.id === threadId);
-        if (threadIndex === -1) {
-          next.push({
-            id: threadId,
-            title: query.trim(),
-            createdAt: new Date().toISOString(),
-            pinned: false,
-            charts: [chartPayload],
-          });
-        } else {
-          const thread = next[threadIndex];
-          next[threadIndex] = {
-            ...thread,
-            title:
-              thread.title === 'New thread' && thread.charts.length === 0
-                ? query.trim()
-                : thread.title,
-            charts: [...thread.charts, chartPayload],
-          };
-        }
-        return next;
-      });
-      if (isNewThread) {
-        persistActiveThread(threadId);
-      }
-      setQuery('');
-      setStatus('done');
+  const downloadDashboard = async () => {
+    setDashboardError('');
+    setIsExportingDashboard(true);
+    try {
+      await exportChartsZip(
+        pinnedCharts.map((item) => ({
+          title: item.title || extractTitle(item.spec, item.query),
+          spec: item.spec,
+        })),
+        activeDashboard?.name || 'dashboard',
+        2,
+        { theme, palette: activeDashboard?.palette },
+      );
     } catch (err) {
-      if (err?.name === 'AbortError') {
-        return;
-      }
-      setError(err?.message || 'Something went wrong.');
-      setStatus('error');
+      setDashboardError(err?.message || 'Unable to export the dashboard.');
+    } finally {
+      setIsExportingDashboard(false);
     }
   };
 
@@ -438,14 +1233,10 @@ export default function App() {
     setError(err?.message || 'Unable to render chart.');
   };
 
-  const handlePin = (chart) => {
-    const exists = pinnedCharts.some((item) => item.id === chart.id);
-    if (exists) {
-      return;
-    }
-
-    const next = [...pinnedCharts, chart];
-    persistPinnedCharts(next);
+  const handlePin = (chart, dashboardId) => {
+    updateDashboardCharts(dashboardId, (charts) =>
+      charts.some((item) => item.id === chart.id) ? charts : [...charts, chart],
+    );
   };
 
   const handleUnpin = (chartId) => {
@@ -455,11 +1246,25 @@ export default function App() {
 
   const requestPin = (chart) => {
     setPinCandidate(chart);
+    setPinTargetId(activeDashboard?.id || NEW_DASHBOARD);
+    setPinNewName('');
   };
 
   const confirmPin = () => {
-    if (pinCandidate) {
-      handlePin(pinCandidate);
+    if (!pinCandidate) {
+      return;
+    }
+    if (pinTargetId === NEW_DASHBOARD) {
+      const name = pinNewName.trim();
+      if (!name) {
+        return;
+      }
+      const dashboard = createDashboard(name, [pinCandidate]);
+      persistDashboards((prev) => [...prev, dashboard]);
+      persistActiveDashboard(dashboard.id);
+    } else {
+      handlePin(pinCandidate, pinTargetId);
+      persistActiveDashboard(pinTargetId);
     }
     setPinCandidate(null);
   };
@@ -468,11 +1273,77 @@ export default function App() {
     setPinCandidate(null);
   };
 
+  const openDashboardDialog = (type, dashboard = null) => {
+    setDashboardDialog({
+      type,
+      id: dashboard?.id || null,
+      value:
+        type === 'rename'
+          ? dashboard.name
+          : type === 'duplicate'
+            ? `${dashboard.name} (copy)`
+            : '',
+    });
+  };
+
+  const confirmDashboardDialog = () => {
+    if (!dashboardDialog) {
+      return;
+    }
+    const { type, id } = dashboardDialog;
+    const name = dashboardDialog.value.trim();
+    if (type !== 'delete' && !name) {
+      return;
+    }
+    if (type === 'create') {
+      const dashboard = createDashboard(name);
+      persistDashboards((prev) => [...prev, dashboard]);
+      navigate({ view: 'pinned', dashboardId: dashboard.id });
+    } else if (type === 'rename') {
+      persistDashboards((prev) =>
+        prev.map((dashboard) =>
+          dashboard.id === id ? { ...dashboard, name } : dashboard,
+        ),
+      );
+    } else if (type === 'duplicate') {
+      const source = dashboards.find((dashboard) => dashboard.id === id);
+      if (source) {
+        const dashboard = {
+          ...source,
+          ...createDashboard(name, source.charts),
+        };
+        persistDashboards((prev) => [...prev, dashboard]);
+        navigate({ view: 'pinned', dashboardId: dashboard.id });
+      }
+    } else if (type === 'delete') {
+      const index = dashboards.findIndex((dashboard) => dashboard.id === id);
+      if (index >= 0) {
+        moveToTrash(createDashboardTrashItem(dashboards[index], index));
+      }
+      const remaining = dashboards.filter((dashboard) => dashboard.id !== id);
+      persistDashboards(remaining);
+      if (activeDashboardId === id) {
+        if (remaining.length) {
+          navigate({ view: 'pinned', dashboardId: remaining[0].id });
+        } else {
+          persistActiveDashboard(null);
+          navigate({ view: 'pinned' });
+        }
+      }
+    }
+    setDashboardDialog(null);
+  };
+
+  const cancelDashboardDialog = () => {
+    setDashboardDialog(null);
+  };
+
   const startNewThread = () => {
-    const newId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}`;
+    const newId = createId();
     persistThreads((prev) => [
       {
         id: newId,
+        connectionId: connections.activeId,
         title: 'New thread',
         createdAt: new Date().toISOString(),
         pinned: false,
@@ -480,11 +1351,11 @@ export default function App() {
       },
       ...prev,
     ]);
-    persistActiveThread(newId);
+    navigate({ view: 'charts', threadId: newId });
   };
 
-  const selectThread = (threadId) => {
-    persistActiveThread(threadId);
+  const selectThread = (threadId, chartId = null) => {
+    navigate({ view: 'charts', threadId, chartId });
   };
 
   const requestDelete = (chart) => {
@@ -492,8 +1363,10 @@ export default function App() {
   };
 
   const confirmDelete = () => {
-    if (deleteCandidate) {
+    if (deleteCandidate && activeDashboard) {
+      const index = pinnedCharts.findIndex((item) => item.id === deleteCandidate.id);
       handleUnpin(deleteCandidate.id);
+      moveToTrash(createChartTrashItem(pinnedCharts[index], activeDashboard, index));
     }
     setDeleteCandidate(null);
   };
@@ -590,6 +1463,13 @@ export default function App() {
     if (!deleteThreadId) {
       return;
     }
+    pendingQuestions
+      .filter((pending) => pending.threadId === deleteThreadId)
+      .forEach(stopQuestion);
+    const index = threads.findIndex((thread) => thread.id === deleteThreadId);
+    if (index >= 0) {
+      moveToTrash(createThreadTrashItem(threads[index], index));
+    }
     persistThreads((prev) => prev.filter((thread) => thread.id !== deleteThreadId));
     if (activeThreadId === deleteThreadId) {
       persistActiveThread(null);
@@ -601,6 +1481,224 @@ export default function App() {
     setDeleteThreadId(null);
   };
 
+  const importWorkspace = (bundle, mode) => {
+    const importedThreads = bundle.threads.map(normalizeThread);
+    const importedDashboards = bundle.dashboards.map(normalizeDashboard);
+
+    if (mode === 'replace') {
+      moveToTrash(
+        ...threads.map(createThreadTrashItem),
+        ...dashboards.map(createDashboardTrashItem),
+      );
+      persistThreads(importedThreads);
+      persistDashboards(importedDashboards);
+      persistActiveThread(
+        importedThreads.some((thread) => thread.id === bundle.activeThreadId)
+          ? bundle.activeThreadId
+          : importedThreads[0]?.id || null,
+      );
+      persistActiveDashboard(importedDashboards[0]?.id || null);
+      return `Replaced the workspace with ${importedThreads.length} threads and ${importedDashboards.length} dashboards.${
+        threads.length || dashboards.length
+          ? ` The previous ${threads.length} threads and ${dashboards.length} dashboards were moved to the trash.`
+          : ''
+      }`;
+    }
+
+    const threadResult = mergeById(threads, importedThreads);
+    const dashboardResult = mergeById(dashboards, importedDashboards);
+    persistThreads(threadResult.items);
+    persistDashboards(dashboardResult.items);
+    const skipped = [
+      threadResult.skipped.length
+        ? describeSkipped(threadResult.skipped, 'threads', (thread) => thread.title)
+        : null,
+      dashboardResult.skipped.length
+        ? describeSkipped(dashboardResult.skipped, 'dashboards', (item) => item.name)
+        : null,
+    ].filter(Boolean);
+    return `Imported ${threadResult.added} threads and ${dashboardResult.added} dashboards.${
+      skipped.length ? ` Skipped ${skipped.join(' and ')} that already exist.` : ''
+    }`;
+  };
+
+  const focusQueryBar = () => {
+    if (view !== 'charts') {
+      navigate({ view: 'charts', threadId: activeThreadId });
+    }
+    requestAnimationFrame(() => queryInputRef.current?.focus());
+  };
+
+  const selectAdjacentThread = (offset) => {
+    if (!visibleThreads.length) {
+      return;
+    }
+    const index = visibleThreads.findIndex((thread) => thread.id === activeThreadId);
+    const nextIndex =
+      index < 0
+        ? 0
+        : Math.min(Math.max(index + offset, 0), visibleThreads.length - 1);
+    selectThread(visibleThreads[nextIndex].id);
+  };
+
+  const toggleThreadSidebar = () => {
+    setIsThreadSidebarMinimized((prev) => !prev);
+  };
+
+  // The dialog on top handles Enter/Escape; dialogs with several actions only
+  // close on Escape.
+  const getOpenDialog = () => {
+    if (deleteThreadId) return { confirm: confirmDeleteThread, cancel: cancelDeleteThread };
+    if (isSettingsOpen) return { cancel: () => setIsSettingsOpen(false) };
+    if (isTrashOpen) return { cancel: () => setIsTrashOpen(false) };
+    if (isWorkspaceOpen) return { cancel: () => setIsWorkspaceOpen(false) };
+    if (dashboardDialog) {
+      return { confirm: confirmDashboardDialog, cancel: cancelDashboardDialog };
+    }
+    if (renameThreadId) return { confirm: confirmRenameThread, cancel: cancelRenameThread };
+    if (deleteCandidate) return { confirm: confirmDelete, cancel: cancelDelete };
+    if (autoRefreshCandidate) {
+      return { confirm: confirmAutoRefresh, cancel: cancelAutoRefresh };
+    }
+    if (pinCandidate) return { confirm: confirmPin, cancel: cancelPin };
+    return null;
+  };
+
+  const handleGlobalKeyDown = (event) => {
+    if (isPaletteOpen) {
+      if (getShortcut(event) === 'palette') {
+        event.preventDefault();
+        setIsPaletteOpen(false);
+      }
+      return;
+    }
+    if (event.defaultPrevented) {
+      return;
+    }
+    const dialog = getOpenDialog();
+    if (dialog) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        dialog.cancel();
+      } else if (
+        event.key === 'Enter' &&
+        dialog.confirm &&
+        !['BUTTON', 'TEXTAREA', 'SELECT', 'A'].includes(event.target.tagName)
+      ) {
+        event.preventDefault();
+        dialog.confirm();
+      }
+      return;
+    }
+
+    const shortcut = getShortcut(event);
+    if (!shortcut) {
+      return;
+    }
+    event.preventDefault();
+    if (shortcut === 'palette') {
+      setIsPaletteOpen(true);
+    } else if (shortcut === 'focusQuery') {
+      focusQueryBar();
+    } else if (shortcut === 'newThread') {
+      startNewThread();
+      focusQueryBar();
+    } else if (shortcut === 'previousThread') {
+      selectAdjacentThread(-1);
+    } else if (shortcut === 'nextThread') {
+      selectAdjacentThread(1);
+    } else if (shortcut === 'toggleSidebar' && view === 'charts') {
+      toggleThreadSidebar();
+    }
+  };
+  keyDownRef.current = handleGlobalKeyDown;
+
+  const getCommands = () => {
+    const latestChart = activeThreadCharts.at(-1);
+    const actions = [
+      {
+        id: 'new-thread',
+        label: 'New chat',
+        keys: getShortcutKeys('newThread'),
+        run: () => {
+          startNewThread();
+          focusQueryBar();
+        },
+      },
+      view === 'charts'
+        ? {
+            id: 'view-dashboard',
+            label: 'Switch to dashboards',
+            run: () => navigate({ view: 'pinned', dashboardId: activeDashboardId }),
+          }
+        : {
+            id: 'view-chat',
+            label: 'Switch to chat',
+            run: () => navigate({ view: 'charts', threadId: activeThreadId }),
+          },
+      {
+        id: 'focus-query',
+        label: 'Ask a question',
+        keys: getShortcutKeys('focusQuery'),
+        run: focusQueryBar,
+      },
+      latestChart
+        ? {
+            id: 'pin-latest',
+            label: `Pin latest chart: ${latestChart.title || latestChart.query}`,
+            run: () => requestPin(latestChart),
+          }
+        : null,
+      activeThread
+        ? {
+            id: 'rename-thread',
+            label: `Rename thread: ${activeThread.title}`,
+            run: () => startRenameThread(activeThread),
+          }
+        : null,
+      activeThread
+        ? {
+            id: 'delete-thread',
+            label: `Delete thread: ${activeThread.title}`,
+            run: () => requestDeleteThread(activeThread.id),
+          }
+        : null,
+      view === 'charts'
+        ? {
+            id: 'toggle-sidebar',
+            label: isThreadSidebarMinimized ? 'Show thread list' : 'Hide thread list',
+            keys: getShortcutKeys('toggleSidebar'),
+            run: toggleThreadSidebar,
+          }
+        : null,
+      { id: 'open-settings', label: 'Open settings', run: () => setIsSettingsOpen(true) },
+      { id: 'open-trash', label: 'Open trash', run: () => setIsTrashOpen(true) },
+      {
+        id: 'open-workspace',
+        label: 'Import or export workspace',
+        run: () => setIsWorkspaceOpen(true),
+      },
+    ]
+      .filter(Boolean)
+      .map((command) => ({ ...command, group: 'Action' }));
+
+    return [
+      ...actions,
+      ...threads.map((thread) => ({
+        id: `thread-${thread.id}`,
+        group: 'Thread',
+        label: thread.title,
+        run: () => selectThread(thread.id),
+      })),
+      ...dashboards.map((dashboard) => ({
+        id: `dashboard-${dashboard.id}`,
+        group: 'Dashboard',
+        label: dashboard.name,
+        run: () => navigate({ view: 'pinned', dashboardId: dashboard.id }),
+      })),
+    ];
+  };
+
   const sidebarClass =
     view === 'charts' && !isThreadSidebarMinimized
       ? 'sidebar-open'
@@ -608,14 +1706,83 @@ export default function App() {
 
   return (
     <div className={`app ${sidebarClass}`} style={{ '--sidebar-width': sidebarWidth }}>
+      {!isOnline ? (
+        <div className="storage-banner offline-banner" role="status">
+          <span>
+            You're offline. Questions in progress are paused and will resume when
+            the connection is back.
+          </span>
+        </div>
+      ) : null}
+      {loadErrors.map((message) => (
+        <div key={message} className="storage-banner" role="alert">
+          <span>{message}</span>
+        </div>
+      ))}
+      {Object.keys(storageErrors).length ? (
+        <div className="storage-banner" role="alert">
+          <span>{Object.values(storageErrors)[0]}</span>
+          <button
+            type="button"
+            className="menu-button"
+            aria-label="Dismiss"
+            onClick={() => setStorageErrors({})}
+          >
+            x
+          </button>
+        </div>
+      ) : null}
       <div className="sidebar-fixed-header">
         <button
           type="button"
           className="sidebar-action"
-          onClick={() => navigate(view === 'charts' ? 'pinned' : 'charts')}
+          onClick={() =>
+            navigate(
+              view === 'charts'
+                ? { view: 'pinned', dashboardId: activeDashboardId }
+                : { view: 'charts', threadId: activeThreadId },
+            )
+          }
         >
           {view === 'charts' ? 'Dashboard' : 'Chat'}
         </button>
+        <button
+          type="button"
+          className="sidebar-action sidebar-action--compact"
+          onClick={() => setIsWorkspaceOpen(true)}
+          title="Import or export the workspace"
+        >
+          Workspace
+        </button>
+        <button
+          type="button"
+          className="sidebar-action sidebar-action--compact"
+          onClick={() => setIsSettingsOpen(true)}
+          title="Configure AI service connections"
+        >
+          Settings
+        </button>
+        <button
+          type="button"
+          className="sidebar-action sidebar-action--compact"
+          onClick={() => setIsTrashOpen(true)}
+          title="Restore or permanently delete removed items"
+        >
+          Trash{trash.items.length ? ` (${trash.items.length})` : ''}
+        </button>
+        <select
+          className="theme-select"
+          value={themeMode}
+          onChange={(event) => setThemeMode(event.target.value)}
+          aria-label="Theme"
+          title="Theme"
+        >
+          {THEME_MODES.map((mode) => (
+            <option key={mode.id} value={mode.id}>
+              {mode.label}
+            </option>
+          ))}
+        </select>
       </div>
       <div className="layout">
         <main className="main">
@@ -631,8 +1798,8 @@ export default function App() {
 
             {view === 'charts' &&
             threads.length > 0 &&
-            !(threads.find((thread) => thread.id === activeThreadId)?.charts || [])
-              .length ? (
+            !activeThreadCharts.length &&
+            !activePending.length ? (
               <div className="empty-state">
                 <div className="empty-title">Start this thread.</div>
                 <div className="empty-subtitle">
@@ -641,6 +1808,28 @@ export default function App() {
               </div>
             ) : null}
 
+            {view === 'pinned' ? (
+              <DashboardToolbar
+                dashboards={dashboards}
+                activeDashboard={activeDashboard}
+                onSelect={(dashboardId) => navigate({ view: 'pinned', dashboardId })}
+                onCreate={() => openDashboardDialog('create')}
+                onRename={(dashboard) => openDashboardDialog('rename', dashboard)}
+                onDuplicate={(dashboard) => openDashboardDialog('duplicate', dashboard)}
+                onDelete={(dashboard) => openDashboardDialog('delete', dashboard)}
+                onDownload={downloadDashboard}
+                isDownloading={isExportingDashboard}
+                onRefresh={(dashboard) => refreshDashboard(dashboard.id)}
+                isRefreshing={Boolean(refreshingDashboardId)}
+                onRefreshIntervalChange={(dashboard, interval) =>
+                  requestRefreshInterval(dashboard, interval)
+                }
+                onPaletteChange={(dashboard, palette) =>
+                  setDashboardPalette(dashboard.id, palette)
+                }
+              />
+            ) : null}
+
             {view === 'pinned' && pinnedCharts.length === 0 ? (
               <div className="empty-state">
                 <div className="empty-title">No pinned charts.</div>
@@ -652,60 +1841,161 @@ export default function App() {
 
             {view === 'charts' ? (
               <div className="thread-section">
-                {(threads.find((thread) => thread.id === activeThreadId)?.charts ||
-                  []).map((item) => (
-                  <div className="chart-card" key={item.id}>
-                    <div className="chart-card-header">
-                      <div className="chart-card-title">
-                        <span className="chart-title-pill">{item.query}</span>
-                      </div>
-                      <div className="chart-actions">
+                {activeThreadCharts.map((item) => (
+                  <ChartCard
+                    key={item.id}
+                    theme={theme}
+                    domId={chartElementId(item.id)}
+                    highlighted={highlightedChartId === item.id}
+                    link={buildRouteUrl({
+                      view: 'charts',
+                      threadId: activeThreadId,
+                      chartId: item.id,
+                    })}
+                    chart={item}
+                    title={item.query}
+                    onError={handleChartError}
+                    onSelectVersion={(index) =>
+                      selectVersion(item.id, index, updateThreadChart)
+                    }
+                    onRunSql={(sql) => rerunChartSql(item, sql, updateThreadChart)}
+                    onEditChart={(spec) => saveChartEdit(item.id, spec, updateThreadChart)}
+                    onAdjust={(instruction) =>
+                      adjustChart(item, instruction, updateThreadChart)
+                    }
+                    actions={
+                      <button
+                        type="button"
+                        className="pin-button"
+                        onClick={() => requestPin(item)}
+                      >
+                        Pin
+                      </button>
+                    }
+                  />
+                ))}
+                {activeFollowUps.length ? (
+                  <SuggestionChips
+                    className="follow-ups"
+                    label="Ask a follow-up:"
+                    suggestions={activeFollowUps}
+                    onSelect={askFollowUp}
+                  />
+                ) : null}
+                {activePending.map((pending) => (
+                  <PendingCard
+                    key={pending.id}
+                    pending={pending}
+                    onStop={() => stopQuestion(pending)}
+                    onDismiss={() => removePending(pending.id)}
+                    onChoose={(candidate) => chooseCandidate(pending, candidate)}
+                    onAsk={(question) => askSuggestion(pending, question)}
+                  />
+                ))}
+              </div>
+            ) : null}
+
+            {view === 'pinned' && dashboardError ? (
+              <div className="error">{dashboardError}</div>
+            ) : null}
+
+            {view === 'pinned' && activeDashboard ? (
+              <DashboardFilters
+                filters={dashboardFilters}
+                options={filterOptions}
+                onChange={(filters) => setDashboardFilters(activeDashboard.id, filters)}
+              />
+            ) : null}
+
+            {view === 'pinned' && activeDashboard ? (
+              <CrossFilterBar
+                filters={activeCrossFilters}
+                onRemove={(field) => removeCrossFilter(activeDashboard.id, field)}
+                onClear={() =>
+                  setCrossFilters((prev) => ({ ...prev, [activeDashboard.id]: [] }))
+                }
+              />
+            ) : null}
+
+            {view === 'pinned' ? (
+              <DashboardGrid
+                items={pinnedCharts}
+                onChange={persistPinnedCharts}
+                renderTile={(item, dragHandleProps) => (
+                  <ChartCard
+                    className="chart-card--pinned"
+                    theme={theme}
+                    palette={activeDashboard.palette}
+                    dataFilters={pinnedDataFilters.get(item.id)}
+                    crossFilters={activeCrossFilters.map((filter) => ({
+                      field: filter.field,
+                      values: filter.values,
+                      own: filter.sourceChartId === item.id,
+                    }))}
+                    onCrossFilter={(field, values) =>
+                      setCrossFilter(activeDashboard.id, item.id, field, values)
+                    }
+                    domId={chartElementId(item.id)}
+                    highlighted={highlightedChartId === item.id}
+                    link={buildRouteUrl({
+                      view: 'pinned',
+                      dashboardId: activeDashboard.id,
+                      chartId: item.id,
+                    })}
+                    chart={item}
+                    title={item.title || extractTitle(item.spec, item.query)}
+                    fit
+                    dragHandleProps={dragHandleProps}
+                    onError={handleChartError}
+                    onSelectVersion={(index) =>
+                      selectVersion(item.id, index, updatePinnedChart)
+                    }
+                    onRunSql={(sql) => rerunChartSql(item, sql, updatePinnedChart)}
+                    onEditChart={(spec) => saveChartEdit(item.id, spec, updatePinnedChart)}
+                    onAdjust={(instruction) =>
+                      adjustChart(item, instruction, updatePinnedChart)
+                    }
+                    actions={
+                      <>
+                        {filteredFields.length > 0 &&
+                        !pinnedDataFilters.get(item.id).length ? (
+                          <span
+                            className="filter-unaffected"
+                            title="This chart has none of the filtered fields."
+                          >
+                            Not filtered
+                          </span>
+                        ) : null}
                         <button
                           type="button"
                           className="pin-button"
-                          onClick={() => requestPin(item)}
+                          onClick={() => refreshPinnedChart(activeDashboard.id, item)}
+                          disabled={
+                            refreshState[refreshKey(activeDashboard.id, item.id)]
+                              ?.status === 'refreshing'
+                          }
                         >
-                          Pin
+                          Refresh
                         </button>
-                      </div>
-                    </div>
-                    <div className="chart-body">
-                      <ChartView spec={item.spec} onError={handleChartError} />
-                    </div>
-                  </div>
-                ))}
-              </div>
-            ) : (
-              <div className="pinned-grid">
-                {pinnedCharts.map((item) => {
-                  const title = item.title || extractTitle(item.spec, item.query);
-                  return (
-                    <div className="chart-card chart-card--pinned" key={item.id}>
-                      <div className="chart-card-header">
-                        <div className="chart-card-title">
-                          <span className="chart-title-pill">{title}</span>
-                        </div>
-                        <div className="chart-actions">
-                          <button
-                            type="button"
-                            className="menu-button"
-                            onClick={() => requestDelete(item)}
-                          >
-                            ...
-                          </button>
-                        </div>
-                      </div>
-                      <div className="chart-body">
-                        <ChartView spec={item.spec} onError={handleChartError} />
-                      </div>
-                      <div className="chart-footer">
-                        Last refreshed: {formatTimestamp(item.createdAt)}
-                      </div>
-                    </div>
-                  );
-                })}
-              </div>
-            )}
+                        <button
+                          type="button"
+                          className="menu-button"
+                          onClick={() => requestDelete(item)}
+                        >
+                          ...
+                        </button>
+                      </>
+                    }
+                    footer={
+                      <RefreshFooter
+                        refreshedAt={item.refreshedAt || item.createdAt}
+                        state={refreshState[refreshKey(activeDashboard.id, item.id)]}
+                      />
+                    }
+                  />
+                )}
+              />
+            ) : null}
           </div>
         </main>
 
@@ -718,7 +2008,8 @@ export default function App() {
             <button
               type="button"
               className="sidebar-toggle"
-              onClick={() => setIsThreadSidebarMinimized((prev) => !prev)}
+              onClick={toggleThreadSidebar}
+              title={`Show or hide threads (${getShortcutKeys('toggleSidebar')})`}
             >
               {isThreadSidebarMinimized ? '<' : '>'}
             </button>
@@ -732,75 +2023,101 @@ export default function App() {
                 >
                   New Chat
                 </button>
-                <div className="thread-list">
-                  {threads.map((thread) => (
-                    <div
-                      key={thread.id}
-                      className={`thread-item ${
-                        activeThreadId === thread.id ? 'active' : ''
-                      }`}
-                    >
-                      <button
-                        type="button"
-                        className="thread-item-button"
-                        onClick={() => selectThread(thread.id)}
+                <ThreadSearch filters={threadFilters} onChange={setThreadFilters} />
+                {isSearching ? (
+                  <SearchResults
+                    results={searchResults}
+                    query={threadFilters.query}
+                    activeThreadId={activeThreadId}
+                    onOpen={selectThread}
+                  />
+                ) : (
+                  <div className="thread-list">
+                    {threads.length > 0 && !visibleThreads.length ? (
+                      <div className="search-empty">No threads match these filters.</div>
+                    ) : null}
+                    {visibleThreads.map((thread) => (
+                      <div
+                        key={thread.id}
+                        className={`thread-item ${
+                          activeThreadId === thread.id ? 'active' : ''
+                        }`}
                       >
-                        <span className="thread-item-label">{thread.title}</span>
-                        {thread.pinned ? (
-                          <span className="thread-pin-icon" aria-label="Pinned">
-                            <svg viewBox="0 0 24 24" aria-hidden="true">
-                              <path
-                                d="M14 3c1.1 0 2 .9 2 2v4l3 3v2h-6v6l-1 2-1-2v-6H5v-2l3-3V5c0-1.1.9-2 2-2h4z"
-                                fill="currentColor"
-                              />
-                            </svg>
-                          </span>
-                        ) : null}
-                      </button>
-                      <div className="thread-item-actions">
                         <button
                           type="button"
-                          className="menu-button"
-                          onClick={() => toggleThreadMenu(thread.id)}
+                          className="thread-item-button"
+                          onClick={() => selectThread(thread.id)}
                         >
-                          ...
+                          <span className="thread-item-label">{thread.title}</span>
+                          {pendingThreadIds.has(thread.id) ? (
+                            <span
+                              className="thread-item-pending"
+                              title="A question is running"
+                              aria-label="A question is running"
+                            />
+                          ) : null}
+                          {thread.pinned ? (
+                            <span className="thread-pin-icon" aria-label="Pinned">
+                              <svg viewBox="0 0 24 24" aria-hidden="true">
+                                <path
+                                  d="M14 3c1.1 0 2 .9 2 2v4l3 3v2h-6v6l-1 2-1-2v-6H5v-2l3-3V5c0-1.1.9-2 2-2h4z"
+                                  fill="currentColor"
+                                />
+                              </svg>
+                            </span>
+                          ) : null}
                         </button>
-                        {threadMenuOpenId === thread.id ? (
-                          <div className="thread-menu">
-                            <button
-                              type="button"
-                              onClick={() => startRenameThread(thread)}
-                            >
-                              Rename
-                            </button>
-                            {thread.pinned ? (
+                        <div className="thread-item-actions">
+                          <button
+                            type="button"
+                            className="menu-button"
+                            onClick={() => toggleThreadMenu(thread.id)}
+                          >
+                            ...
+                          </button>
+                          {threadMenuOpenId === thread.id ? (
+                            <div className="thread-menu">
                               <button
                                 type="button"
-                                onClick={() => unpinThread(thread.id)}
+                                onClick={() => startRenameThread(thread)}
                               >
-                                Unpin from top
+                                Rename
                               </button>
-                            ) : (
+                              {thread.pinned ? (
+                                <button
+                                  type="button"
+                                  onClick={() => unpinThread(thread.id)}
+                                >
+                                  Unpin from top
+                                </button>
+                              ) : (
+                                <button
+                                  type="button"
+                                  onClick={() => pinThreadToTop(thread.id)}
+                                >
+                                  Pin to top
+                                </button>
+                              )}
                               <button
                                 type="button"
-                                onClick={() => pinThreadToTop(thread.id)}
+                                className="danger"
+                                onClick={() => requestDeleteThread(thread.id)}
                               >
-                                Pin to top
+                                Delete
                               </button>
-                            )}
-                            <button
-                              type="button"
-                              className="danger"
-                              onClick={() => requestDeleteThread(thread.id)}
-                            >
-                              Delete
-                            </button>
-                          </div>
-                        ) : null}
+                            </div>
+                          ) : null}
+                        </div>
                       </div>
-                    </div>
-                  ))}
-                </div>
+                    ))}
+                  </div>
+                )}
+                <StorageStatus
+                  estimate={storageEstimate}
+                  hasError={
+                    Object.keys(storageErrors).length > 0 || loadErrors.length > 0
+                  }
+                />
               </div>
             ) : null}
           </aside>
@@ -813,14 +2130,26 @@ export default function App() {
             <input
               type="text"
               placeholder="Ask a question about your data..."
+              ref={queryInputRef}
               value={query}
               onChange={(event) => setQuery(event.target.value)}
               aria-label="Query"
             />
-            <button type="submit" disabled={status === 'asking' || status === 'charting'}>
-              Generate
-            </button>
+            <button type="submit">Generate</button>
           </form>
+          {connections.profiles.length > 1 || activeConnection.demo ? (
+            <div className="status">
+              Asking {activeConnection.name}
+              {activeConnection.demo ? ' (demo data)' : ''}.
+            </div>
+          ) : null}
+          {otherPendingCount ? (
+            <div className="status">
+              {otherPendingCount === 1
+                ? '1 question is running in another thread.'
+                : `${otherPendingCount} questions are running in other threads.`}
+            </div>
+          ) : null}
           {statusLabel ? <div className="status">{statusLabel}</div> : null}
           {error ? <div className="error">{error}</div> : null}
         </div>
@@ -832,8 +2161,34 @@ export default function App() {
             <div className="modal-icon">!</div>
             <div className="modal-content">
               <div className="modal-title">
-                Are you sure you want to pin this chart to the dashboard?
+                Which dashboard should this chart be pinned to?
               </div>
+              <select
+                className="modal-input"
+                value={pinTargetId}
+                onChange={(event) => setPinTargetId(event.target.value)}
+                aria-label="Target dashboard"
+              >
+                {dashboards.map((dashboard) => (
+                  <option key={dashboard.id} value={dashboard.id}>
+                    {dashboard.name}
+                    {dashboard.charts.some((item) => item.id === pinCandidate.id)
+                      ? ' (already pinned)'
+                      : ''}
+                  </option>
+                ))}
+                <option value={NEW_DASHBOARD}>+ New dashboard</option>
+              </select>
+              {pinTargetId === NEW_DASHBOARD ? (
+                <input
+                  className="modal-input"
+                  value={pinNewName}
+                  onChange={(event) => setPinNewName(event.target.value)}
+                  placeholder="Dashboard name"
+                  aria-label="Dashboard name"
+                  autoFocus
+                />
+              ) : null}
               <div className="modal-actions">
                 <button type="button" className="modal-button" onClick={cancelPin}>
                   Cancel
@@ -842,6 +2197,7 @@ export default function App() {
                   type="button"
                   className="modal-button modal-button--primary"
                   onClick={confirmPin}
+                  disabled={pinTargetId === NEW_DASHBOARD && !pinNewName.trim()}
                 >
                   Save
                 </button>
@@ -857,7 +2213,7 @@ export default function App() {
             <div className="modal-icon">!</div>
             <div className="modal-content">
               <div className="modal-title">
-                Are you sure you want to delete this chart from the dashboard?
+                Move this chart from the dashboard to the trash?
               </div>
               <div className="modal-actions">
                 <button type="button" className="modal-button" onClick={cancelDelete}>
@@ -867,6 +2223,7 @@ export default function App() {
                   type="button"
                   className="modal-button modal-button--primary"
                   onClick={confirmDelete}
+                  autoFocus
                 >
                   Delete
                 </button>
@@ -876,6 +2233,45 @@ export default function App() {
         </div>
       ) : null}
 
+      {autoRefreshDashboard ? (
+        <div className="modal-backdrop" role="dialog" aria-modal="true">
+          <div className="modal">
+            <div className="modal-icon">!</div>
+            <div className="modal-content">
+              <div className="modal-title">
+                Auto-refresh "{autoRefreshDashboard.name}"{' '}
+                {AUTO_REFRESH_INTERVALS.find(
+                  (option) => option.value === autoRefreshCandidate.refreshIntervalMs,
+                )?.label.toLowerCase()}
+                ?
+              </div>
+              <div className="modal-note">
+                Every refresh regenerates each of its {autoRefreshDashboard.charts.length}{' '}
+                charts through the AI service, one LLM call per chart: about{' '}
+                {getDailyRefreshCalls(
+                  autoRefreshDashboard.charts.length,
+                  autoRefreshCandidate.refreshIntervalMs,
+                )}{' '}
+                calls a day while the dashboard is open.
+              </div>
+              <div className="modal-actions">
+                <button type="button" className="modal-button" onClick={cancelAutoRefresh}>
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  className="modal-button modal-button--primary"
+                  onClick={confirmAutoRefresh}
+                  autoFocus
+                >
+                  Turn on
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      ) : null}
+
       {renameThreadId ? (
         <div className="modal-backdrop" role="dialog" aria-modal="true">
           <div className="modal">
@@ -887,6 +2283,7 @@ export default function App() {
                 value={renameValue}
                 onChange={(event) => setRenameValue(event.target.value)}
                 placeholder="Thread name"
+                autoFocus
               />
               <div className="modal-actions">
                 <button type="button" className="modal-button" onClick={cancelRenameThread}>
@@ -905,13 +2302,114 @@ export default function App() {
         </div>
       ) : null}
 
+      {dashboardDialog ? (
+        <div className="modal-backdrop" role="dialog" aria-modal="true">
+          <div className="modal">
+            <div className="modal-icon">!</div>
+            <div className="modal-content">
+              <div className="modal-title">
+                {dashboardDialog.type === 'create' ? 'New dashboard' : null}
+                {dashboardDialog.type === 'rename' ? 'Rename dashboard' : null}
+                {dashboardDialog.type === 'duplicate' ? 'Duplicate dashboard' : null}
+                {dashboardDialog.type === 'delete'
+                  ? 'Are you sure you want to delete this dashboard?'
+                  : null}
+              </div>
+              {dashboardDialog.type !== 'delete' ? (
+                <input
+                  className="modal-input"
+                  value={dashboardDialog.value}
+                  onChange={(event) =>
+                    setDashboardDialog((prev) => ({
+                      ...prev,
+                      value: event.target.value,
+                    }))
+                  }
+                  placeholder="Dashboard name"
+                  autoFocus
+                />
+              ) : null}
+              <div className="modal-actions">
+                <button
+                  type="button"
+                  className="modal-button"
+                  onClick={cancelDashboardDialog}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  className="modal-button modal-button--primary"
+                  onClick={confirmDashboardDialog}
+                  autoFocus={dashboardDialog.type === 'delete'}
+                >
+                  {dashboardDialog.type === 'delete' ? 'Delete' : 'Save'}
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      ) : null}
+
+      {isWorkspaceOpen ? (
+        <WorkspaceDialog
+          threads={threads}
+          dashboards={dashboards}
+          activeThreadId={activeThreadId}
+          onImport={importWorkspace}
+          onClose={() => setIsWorkspaceOpen(false)}
+        />
+      ) : null}
+
+      {isPaletteOpen ? (
+        <CommandPalette commands={getCommands()} onClose={() => setIsPaletteOpen(false)} />
+      ) : null}
+
+      {isTrashOpen ? (
+        <TrashDialog
+          trash={trash}
+          onRestore={restoreTrashItem}
+          onPurge={(item) => removeFromTrash(item.id)}
+          onEmpty={() => persistTrash((prev) => ({ ...prev, items: [] }))}
+          onRetentionChange={(retentionDays) =>
+            persistTrash((prev) => ({ ...prev, retentionDays }))
+          }
+          onClose={() => setIsTrashOpen(false)}
+        />
+      ) : null}
+
+      {undoItem ? (
+        <UndoToast
+          key={undoItem.id}
+          message={`"${getTrashItemTitle(undoItem)}" moved to the trash.`}
+          onUndo={() => {
+            restoreTrashItem(undoItem);
+            if (undoItem.kind === 'thread') {
+              selectThread(undoItem.thread.id);
+            } else if (undoItem.kind === 'dashboard') {
+              navigate({ view: 'pinned', dashboardId: undoItem.dashboard.id });
+            }
+          }}
+          onDismiss={() => setUndoItemId(null)}
+        />
+      ) : null}
+
+      {isSettingsOpen ? (
+        <SettingsDialog
+          connections={connections}
+          threads={threads}
+          onSave={persistConnections}
+          onClose={() => setIsSettingsOpen(false)}
+        />
+      ) : null}
+
       {deleteThreadId ? (
         <div className="modal-backdrop" role="dialog" aria-modal="true">
           <div className="modal">
             <div className="modal-icon">!</div>
             <div className="modal-content">
               <div className="modal-title">
-                Are you sure you want to delete this thread?
+                Move this thread to the trash?
               </div>
               <div className="modal-actions">
                 <button type="button" className="modal-button" onClick={cancelDeleteThread}>
@@ -921,6 +2419,7 @@ export default function App() {
                   type="button"
                   className="modal-button modal-button--primary"
                   onClick={confirmDeleteThread}
+                  autoFocus
                 >
                   Delete
                 </button>
@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import { getErrorMessage } from './apiErrors.js';
+
+export default function ChartAdjust({ onAdjust }) {
+  const [instruction, setInstruction] = useState('');
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const text = instruction.trim();
+    if (!text || running) {
+      return;
+    }
+    setError('');
+    setRunning(true);
+    try {
+      await onAdjust(text);
+      setInstruction('');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Unable to adjust this chart.'));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <form className="chart-adjust" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        className="chart-adjust-input"
+        placeholder='Adjust this chart, e.g. "make it monthly and split by region"'
+        value={instruction}
+        onChange={(event) => setInstruction(event.target.value)}
+        disabled={running}
+        aria-label="Adjust chart"
+      />
+      <button
+        type="submit"
+        className="sql-action sql-action--primary"
+        disabled={running || !instruction.trim()}
+      >
+        {running ? 'Adjusting...' : 'Adjust'}
+      </button>
+      {error ? <div className="sql-error">{error}</div> : null}
+    </form>
+  );
+}
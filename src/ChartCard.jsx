@@ -0,0 +1,108 @@
+import { useMemo, useRef, useState } from 'react';
+import ChartAdjust from './ChartAdjust.jsx';
+import ChartEditor from './ChartEditor.jsx';
+import ChartView from './ChartView.jsx';
+import DataTable from './DataTable.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import SqlPanel from './SqlPanel.jsx';
+import VersionSwitcher from './VersionSwitcher.jsx';
+import { getChartRows } from './chartData.js';
+
+const TABS = [
+  { id: 'chart', label: 'Chart' },
+  { id: 'data', label: 'Data' },
+];
+
+export default function ChartCard({
+  chart,
+  title,
+  className = '',
+  domId,
+  highlighted = false,
+  link,
+  fit = false,
+  theme,
+  palette,
+  dataFilters,
+  crossFilters,
+  onCrossFilter,
+  dragHandleProps,
+  actions,
+  footer,
+  onRunSql,
+  onSelectVersion,
+  onEditChart,
+  onAdjust,
+  onError,
+}) {
+  const [tab, setTab] = useState('chart');
+  const [previewSpec, setPreviewSpec] = useState(null);
+  const viewRef = useRef(null);
+  const rows = useMemo(() => getChartRows(chart.spec), [chart.spec]);
+  const chartOptions = useMemo(() => ({ theme, palette }), [theme, palette]);
+
+  return (
+    <div
+      id={domId}
+      className={['chart-card', className, highlighted ? 'chart-card--highlighted' : '']
+        .filter(Boolean)
+        .join(' ')}
+    >
+      <div className="chart-card-header" {...dragHandleProps}>
+        <div className="chart-card-title">
+          <span className="chart-title-pill">{title}</span>
+        </div>
+        <div className="chart-actions">
+          <VersionSwitcher chart={chart} onSelect={onSelectVersion} />
+          <ExportMenu
+            spec={chart.spec}
+            title={title}
+            link={link}
+            getView={() => viewRef.current}
+            chartOptions={chartOptions}
+          />
+          {actions}
+        </div>
+      </div>
+      <div className="chart-tabs" role="tablist">
+        {TABS.map((item) => (
+          <button
+            key={item.id}
+            type="button"
+            role="tab"
+            aria-selected={tab === item.id}
+            className={`chart-tab ${tab === item.id ? 'active' : ''}`}
+            onClick={() => setTab(item.id)}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+      {tab === 'chart' ? (
+        <div className="chart-body">
+          <ChartView
+            spec={previewSpec || chart.spec}
+            onError={onError}
+            fit={fit}
+            theme={theme}
+            palette={palette}
+            dataFilters={dataFilters}
+            crossFilters={crossFilters}
+            onCrossFilter={onCrossFilter}
+            onView={(view) => {
+              viewRef.current = view;
+            }}
+          />
+        </div>
+      ) : (
+        <DataTable rows={rows} title={title} />
+      )}
+      {onAdjust ? <ChartAdjust onAdjust={onAdjust} /> : null}
+      {onEditChart ? (
+        <ChartEditor spec={chart.spec} onPreview={setPreviewSpec} onSave={onEditChart} />
+      ) : null}
+      <SqlPanel sql={chart.sql} onRun={onRunSql} />
+      {footer}
+    </div>
+  );
+}
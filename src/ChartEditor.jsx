@@ -0,0 +1,176 @@
+import { useEffect, useMemo, useState } from 'react';
+import {
+  AGGREGATES,
+  EDITABLE_MARKS,
+  applyEditorState,
+  getEditorFields,
+  getEditorState,
+  isStackable,
+  setCategoryField,
+  setValueField,
+} from './chartEncoding.js';
+
+export default function ChartEditor({ spec, onPreview, onSave }) {
+  const initial = useMemo(() => getEditorState(spec), [spec]);
+  const fields = useMemo(() => getEditorFields(spec, initial), [spec, initial]);
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState(initial);
+
+  useEffect(() => {
+    setDraft(initial);
+  }, [initial]);
+
+  const dirty = JSON.stringify(draft) !== JSON.stringify(initial);
+
+  useEffect(() => {
+    onPreview(open && dirty ? applyEditorState(spec, draft) : null);
+  }, [open, dirty, draft, spec, onPreview]);
+
+  if (!initial || !draft) {
+    return null;
+  }
+
+  const update = (patch) => setDraft((prev) => ({ ...prev, ...patch }));
+  const isArc = draft.mark === 'arc';
+
+  const close = () => {
+    setDraft(initial);
+    setOpen(false);
+  };
+
+  return (
+    <div className="chart-editor">
+      <div className="sql-panel-header">
+        <button
+          type="button"
+          className="sql-toggle"
+          aria-expanded={open}
+          onClick={() => (open ? close() : setOpen(true))}
+        >
+          {open ? 'Hide chart editor' : 'Edit chart'}
+        </button>
+      </div>
+      {open ? (
+        <div className="chart-editor-form">
+          <div className="chart-editor-marks" role="radiogroup" aria-label="Chart type">
+            {EDITABLE_MARKS.map((mark) => (
+              <button
+                key={mark}
+                type="button"
+                role="radio"
+                aria-checked={draft.mark === mark}
+                className={`chart-tab ${draft.mark === mark ? 'active' : ''}`}
+                onClick={() => update({ mark })}
+              >
+                {mark}
+              </button>
+            ))}
+          </div>
+          <label className="chart-editor-field">
+            <span>{isArc ? 'Slices' : 'Category'}</span>
+            <select
+              value={draft.category.field}
+              onChange={(event) =>
+                setDraft((prev) => setCategoryField(spec, prev, event.target.value))
+              }
+            >
+              {fields.map((field) => (
+                <option key={field} value={field}>
+                  {field}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="chart-editor-field">
+            <span>Value</span>
+            <select
+              value={draft.value.field || ''}
+              disabled={draft.aggregate === 'count'}
+              onChange={(event) =>
+                setDraft((prev) => setValueField(prev, event.target.value))
+              }
+            >
+              {!draft.value.field ? <option value="">(none)</option> : null}
+              {fields.map((field) => (
+                <option key={field} value={field}>
+                  {field}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="chart-editor-field">
+            <span>Aggregate</span>
+            <select
+              value={draft.aggregate}
+              onChange={(event) => update({ aggregate: event.target.value })}
+            >
+              {AGGREGATES.map((aggregate) => (
+                <option key={aggregate} value={aggregate}>
+                  {aggregate}
+                </option>
+              ))}
+            </select>
+          </label>
+          {!isArc ? (
+            <label className="chart-editor-field">
+              <span>Series</span>
+              <select
+                value={draft.series}
+                onChange={(event) => update({ series: event.target.value })}
+              >
+                <option value="">None</option>
+                {fields
+                  .filter((field) => field !== draft.category.field)
+                  .map((field) => (
+                    <option key={field} value={field}>
+                      {field}
+                    </option>
+                  ))}
+              </select>
+            </label>
+          ) : null}
+          {!isArc ? (
+            <button
+              type="button"
+              className="sql-action"
+              onClick={() => update({ horizontal: !draft.horizontal })}
+            >
+              Swap X/Y
+            </button>
+          ) : null}
+          {isStackable(draft.mark) && draft.series ? (
+            <label className="chart-editor-check">
+              <input
+                type="checkbox"
+                checked={draft.stacked}
+                onChange={(event) => update({ stacked: event.target.checked })}
+              />
+              Stacked
+            </label>
+          ) : null}
+          <div className="sql-panel-actions">
+            <button
+              type="button"
+              className="sql-action"
+              onClick={() => setDraft(initial)}
+              disabled={!dirty}
+            >
+              Reset
+            </button>
+            <button
+              type="button"
+              className="sql-action sql-action--primary"
+              onClick={() => {
+                onSave(applyEditorState(spec, draft));
+                setOpen(false);
+              }}
+              disabled={!dirty}
+            >
+              Save as new version
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
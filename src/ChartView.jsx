@@ -1,66 +1,30 @@
 import { useEffect, useRef } from 'react';
 import embed from 'vega-embed';
+import { normalizeSpec } from './chartData.js';
+import { applyCrossFilters, getSelectedValues } from './crossFilter.js';
+import { withFilterTransforms } from './globalFilters.js';
 
-const normalizeSpec = (input) => {
-  if (!input) {
-    return null;
-  }
-
-  let parsed = input;
-  if (typeof parsed === 'string') {
-    try {
-      parsed = JSON.parse(parsed);
-    } catch {
-      return null;
-    }
-  }
-
-  if (!parsed || typeof parsed !== 'object') {
-    return null;
-  }
-
-  const schema = typeof parsed.$schema === 'string' ? parsed.$schema : '';
-  const isVegaLite = schema.includes('vega-lite');
-  const isVega = schema.includes('vega') && !isVegaLite;
-  const hasVegaLiteMarks =
-    parsed.mark ||
-    parsed.layer ||
-    parsed.facet ||
-    parsed.hconcat ||
-    parsed.vconcat ||
-    parsed.concat ||
-    parsed.repeat;
-
-  if (!isVega && !isVegaLite && !hasVegaLiteMarks) {
-    return null;
-  }
-
-  if (isVegaLite || hasVegaLiteMarks) {
-    const specToRender = {
-      ...parsed,
-      config: {
-        ...(parsed.config || {}),
-        mark: {
-          ...(parsed.config?.mark || {}),
-          tooltip: true,
-        },
-      },
-    };
-    if (specToRender.title) {
-      delete specToRender.title;
-    }
-    return { spec: specToRender, mode: 'vega-lite' };
-  }
-
-  const vegaSpec = { ...parsed };
-  if (vegaSpec.title) {
-    delete vegaSpec.title;
-  }
-  return { spec: vegaSpec, mode: 'vega' };
-};
-
-export default function ChartView({ spec, onError }) {
+export default function ChartView({
+  spec,
+  onError,
+  onView,
+  fit = false,
+  theme = 'light',
+  palette,
+  dataFilters,
+  crossFilters,
+  onCrossFilter,
+}) {
   const containerRef = useRef(null);
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+  const onViewRef = useRef(onView);
+  onViewRef.current = onView;
+  const onCrossFilterRef = useRef(onCrossFilter);
+  onCrossFilterRef.current = onCrossFilter;
+  // Compared by value so freshly built filter arrays don't re-embed the chart.
+  const dataFilterKey = dataFilters?.length ? JSON.stringify(dataFilters) : '';
+  const crossFilterKey = crossFilters ? JSON.stringify(crossFilters) : '';
 
   useEffect(() => {
     if (!spec || !containerRef.current) {
@@ -69,19 +33,31 @@ export default function ChartView({ spec, onError }) {
 
     let view;
     let cancelled = false;
-    const normalized = normalizeSpec(spec);
+    let observer;
+    let frame;
+    let normalized = normalizeSpec(spec, { fit, theme, palette });
     if (!normalized) {
-      if (onError) {
-        onError(new Error('Invalid chart specification.'));
+      if (onErrorRef.current) {
+        onErrorRef.current(new Error('Invalid chart specification.'));
       }
       return undefined;
     }
+    if (dataFilterKey) {
+      normalized = withFilterTransforms(normalized, JSON.parse(dataFilterKey));
+    }
+    let selections = {};
+    if (crossFilterKey) {
+      ({ normalized, selections } = applyCrossFilters(
+        normalized,
+        JSON.parse(crossFilterKey),
+      ));
+    }
 
     embed(containerRef.current, normalized.spec, {
       actions: false,
       mode: normalized.mode,
       renderer: 'svg',
-      tooltip: { theme: 'light' },
+      tooltip: { theme: theme === 'dark' ? 'dark' : 'light' },
     })
       .then((result) => {
         if (cancelled) {
@@ -89,23 +65,59 @@ export default function ChartView({ spec, onError }) {
           return;
         }
         view = result.view;
+        if (onViewRef.current) {
+          onViewRef.current(view);
+        }
+        Object.entries(selections).forEach(([param, field]) => {
+          view.addSignalListener(param, (_, value) => {
+            if (onCrossFilterRef.current) {
+              onCrossFilterRef.current(field, getSelectedValues(value, field));
+            }
+          });
+        });
+        if (
+          normalized.spec.width === 'container' &&
+          typeof ResizeObserver !== 'undefined'
+        ) {
+          const container = containerRef.current;
+          observer = new ResizeObserver(() => {
+            cancelAnimationFrame(frame);
+            frame = requestAnimationFrame(() => {
+              if (!container.clientWidth || !container.clientHeight) {
+                return;
+              }
+              view
+                .width(container.clientWidth)
+                .height(container.clientHeight)
+                .runAsync();
+            });
+          });
+          observer.observe(container);
+        }
       })
       .catch((error) => {
-        if (onError) {
-          onError(error);
+        if (onErrorRef.current) {
+          onErrorRef.current(error);
         }
       });
 
     return () => {
       cancelled = true;
+      if (observer) {
+        observer.disconnect();
+      }
+      cancelAnimationFrame(frame);
       if (view) {
+        if (onViewRef.current) {
+          onViewRef.current(null);
+        }
         view.finalize();
       }
       if (containerRef.current) {
         containerRef.current.innerHTML = '';
       }
     };
-  }, [spec, onError]);
+  }, [spec, fit, theme, palette, dataFilterKey, crossFilterKey]);
 
-  return <div className="chart" ref={containerRef} />;
+  return <div className={fit ? 'chart chart--fit' : 'chart'} ref={containerRef} />;
 }
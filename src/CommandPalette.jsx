@@ -0,0 +1,112 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { SHORTCUTS } from './shortcuts.js';
+import { getSearchTerms } from './search.js';
+
+// `commands` are `{ id, group, label, keys?, run }`; the palette closes before
+// running the chosen one.
+export default function CommandPalette({ commands, onClose }) {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  const results = useMemo(() => {
+    const terms = getSearchTerms(query);
+    return commands.filter((command) => {
+      const text = `${command.group} ${command.label}`.toLowerCase();
+      return terms.every((term) => text.includes(term));
+    });
+  }, [commands, query]);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current
+      ?.querySelector('[aria-selected="true"]')
+      ?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const runCommand = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActiveIndex((prev) => Math.min(prev + 1, results.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex((prev) => Math.max(prev - 1, 0));
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      if (results[activeIndex]) {
+        runCommand(results[activeIndex]);
+      }
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="modal-backdrop palette-backdrop" onMouseDown={onClose}>
+      <div
+        className="command-palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        onMouseDown={(event) => event.stopPropagation()}
+      >
+        <input
+          className="command-palette-input"
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search threads, dashboards and commands..."
+          aria-label="Command"
+          aria-controls="command-palette-list"
+          aria-activedescendant={
+            results[activeIndex] ? `command-${results[activeIndex].id}` : undefined
+          }
+          autoFocus
+        />
+        <ul
+          id="command-palette-list"
+          className="command-palette-list"
+          role="listbox"
+          ref={listRef}
+        >
+          {results.map((command, index) => (
+            <li
+              key={command.id}
+              id={`command-${command.id}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`command-palette-item ${index === activeIndex ? 'active' : ''}`}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => runCommand(command)}
+            >
+              <span className="command-palette-group">{command.group}</span>
+              <span className="command-palette-label">{command.label}</span>
+              {command.keys ? <kbd>{command.keys}</kbd> : null}
+            </li>
+          ))}
+          {!results.length ? (
+            <li className="command-palette-empty">No matching commands.</li>
+          ) : null}
+        </ul>
+        {!query ? (
+          <div className="command-palette-shortcuts">
+            {SHORTCUTS.map((shortcut) => (
+              <span key={shortcut.id}>
+                <kbd>{shortcut.keys}</kbd> {shortcut.description}
+              </span>
+            ))}
+          </div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+const formatValue = (value) =>
+  value === null || value === undefined ? '(empty)' : String(value);
+
+export default function CrossFilterBar({ filters, onRemove, onClear }) {
+  if (!filters.length) {
+    return null;
+  }
+
+  return (
+    <div className="cross-filter-bar" aria-label="Dashboard filters">
+      <span className="cross-filter-label">Filtered by</span>
+      {filters.map((filter) => (
+        <span key={filter.field} className="cross-filter-chip">
+          <span>
+            {filter.field}: {filter.values.map(formatValue).join(', ')}
+          </span>
+          <button
+            type="button"
+            aria-label={`Remove ${filter.field} filter`}
+            onClick={() => onRemove(filter.field)}
+          >
+            x
+          </button>
+        </span>
+      ))}
+      <button type="button" className="sql-toggle" onClick={onClear}>
+        Clear filters
+      </button>
+    </div>
+  );
+}
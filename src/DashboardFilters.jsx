@@ -0,0 +1,99 @@
+import { EMPTY_DASHBOARD_FILTERS, getFilteredFields } from './globalFilters.js';
+
+const toggleValue = (values, value) =>
+  values.includes(value) ? values.filter((item) => item !== value) : [...values, value];
+
+export default function DashboardFilters({ filters, options, onChange }) {
+  const { dateFields, categoryFields } = options;
+  if (!dateFields.length && !categoryFields.length) {
+    return null;
+  }
+
+  const update = (patch) => onChange({ ...filters, ...patch });
+  const setCategory = (field, values) =>
+    update({ categories: { ...filters.categories, [field]: values } });
+  const dateField = filters.dateField || dateFields[0] || '';
+  const isFiltered = getFilteredFields(filters).length > 0;
+
+  return (
+    <div className="dashboard-filters">
+      {dateFields.length ? (
+        <div className="dashboard-filter dashboard-filter--date">
+          {dateFields.length > 1 ? (
+            <select
+              value={dateField}
+              onChange={(event) => update({ dateField: event.target.value })}
+              aria-label="Date field"
+            >
+              {dateFields.map((field) => (
+                <option key={field} value={field}>
+                  {field}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <span className="dashboard-filter-label">{dateField}</span>
+          )}
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(event) => update({ dateField, from: event.target.value })}
+            aria-label={`${dateField} from`}
+          />
+          <span className="dashboard-filter-label">to</span>
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(event) => update({ dateField, to: event.target.value })}
+            aria-label={`${dateField} to`}
+          />
+        </div>
+      ) : null}
+      {categoryFields.map(({ field, values }) => {
+        const selected = filters.categories[field] || [];
+        return (
+          <details key={field} className="dashboard-filter filter-dropdown">
+            <summary>
+              {field}
+              {selected.length ? (
+                <span className="filter-count">{selected.length}</span>
+              ) : null}
+            </summary>
+            <div className="filter-dropdown-list">
+              {values.map((value) => (
+                <label key={value} className="filter-option">
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(value)}
+                    onChange={() => setCategory(field, toggleValue(selected, value))}
+                  />
+                  <span>{value}</span>
+                </label>
+              ))}
+              {selected.length ? (
+                <button
+                  type="button"
+                  className="sql-toggle"
+                  onClick={() => setCategory(field, [])}
+                >
+                  Clear
+                </button>
+              ) : null}
+            </div>
+          </details>
+        );
+      })}
+      {isFiltered ? (
+        <button
+          type="button"
+          className="sql-toggle"
+          onClick={() => onChange(EMPTY_DASHBOARD_FILTERS)}
+        >
+          Reset filters
+        </button>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import { useRef, useState } from 'react';
+
+export const GRID_COLUMNS = 4;
+const GRID_ROW_HEIGHT = 120;
+const GRID_GAP = 16;
+const MIN_TILE_ROWS = 3;
+const MAX_TILE_ROWS = 8;
+export const DEFAULT_TILE_LAYOUT = { w: 2, h: 4 };
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export const getTileLayout = (item) => ({
+  w: clamp(Number(item?.layout?.w) || DEFAULT_TILE_LAYOUT.w, 1, GRID_COLUMNS),
+  h: clamp(Number(item?.layout?.h) || DEFAULT_TILE_LAYOUT.h, MIN_TILE_ROWS, MAX_TILE_ROWS),
+});
+
+const moveItem = (list, fromId, toId) => {
+  const fromIndex = list.findIndex((item) => item.id === fromId);
+  const toIndex = list.findIndex((item) => item.id === toId);
+  if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) {
+    return list;
+  }
+  const next = [...list];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, moved);
+  return next;
+};
+
+export default function DashboardGrid({ items, onChange, renderTile }) {
+  const gridRef = useRef(null);
+  const [draggingId, setDraggingId] = useState(null);
+  const [dropTargetId, setDropTargetId] = useState(null);
+  const [resizing, setResizing] = useState(null);
+
+  const getDragHandleProps = (item) => ({
+    draggable: true,
+    onDragStart: (event) => {
+      const tile = event.currentTarget.closest('.dashboard-tile');
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', item.id);
+      if (tile) {
+        event.dataTransfer.setDragImage(tile, 24, 24);
+      }
+      setDraggingId(item.id);
+    },
+    onDragEnd: () => {
+      setDraggingId(null);
+      setDropTargetId(null);
+    },
+  });
+
+  const handleDragOver = (event, item) => {
+    if (!draggingId) {
+      return;
+    }
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    if (dropTargetId !== item.id) {
+      setDropTargetId(item.id);
+    }
+  };
+
+  const handleDrop = (event, item) => {
+    event.preventDefault();
+    const sourceId = draggingId || event.dataTransfer.getData('text/plain');
+    setDraggingId(null);
+    setDropTargetId(null);
+    if (sourceId && sourceId !== item.id) {
+      onChange(moveItem(items, sourceId, item.id));
+    }
+  };
+
+  const startResize = (event, item) => {
+    if (!gridRef.current) {
+      return;
+    }
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const gridWidth = gridRef.current.clientWidth;
+    const columnWidth = (gridWidth - GRID_GAP * (GRID_COLUMNS - 1)) / GRID_COLUMNS;
+    const start = getTileLayout(item);
+    setResizing({
+      id: item.id,
+      startX: event.clientX,
+      startY: event.clientY,
+      startWidth: start.w * columnWidth + (start.w - 1) * GRID_GAP,
+      startHeight: start.h * GRID_ROW_HEIGHT + (start.h - 1) * GRID_GAP,
+      columnWidth,
+      layout: start,
+    });
+  };
+
+  const moveResize = (event) => {
+    if (!resizing) {
+      return;
+    }
+    const width = resizing.startWidth + event.clientX - resizing.startX;
+    const height = resizing.startHeight + event.clientY - resizing.startY;
+    const layout = {
+      w: clamp(
+        Math.round((width + GRID_GAP) / (resizing.columnWidth + GRID_GAP)),
+        1,
+        GRID_COLUMNS,
+      ),
+      h: clamp(
+        Math.round((height + GRID_GAP) / (GRID_ROW_HEIGHT + GRID_GAP)),
+        MIN_TILE_ROWS,
+        MAX_TILE_ROWS,
+      ),
+    };
+    if (layout.w !== resizing.layout.w || layout.h !== resizing.layout.h) {
+      setResizing((prev) => ({ ...prev, layout }));
+    }
+  };
+
+  const endResize = () => {
+    if (!resizing) {
+      return;
+    }
+    const { id, layout } = resizing;
+    setResizing(null);
+    onChange(items.map((item) => (item.id === id ? { ...item, layout } : item)));
+  };
+
+  return (
+    <div
+      className="pinned-grid"
+      ref={gridRef}
+      style={{
+        '--grid-columns': GRID_COLUMNS,
+        '--grid-row-height': `${GRID_ROW_HEIGHT}px`,
+        '--grid-gap': `${GRID_GAP}px`,
+      }}
+    >
+      {items.map((item) => {
+        const layout =
+          resizing?.id === item.id ? resizing.layout : getTileLayout(item);
+        const classes = [
+          'dashboard-tile',
+          draggingId === item.id ? 'dragging' : '',
+          dropTargetId === item.id && draggingId !== item.id ? 'drop-target' : '',
+          resizing?.id === item.id ? 'resizing' : '',
+        ]
+          .filter(Boolean)
+          .join(' ');
+        return (
+          <div
+            key={item.id}
+            className={classes}
+            style={{ '--tile-w': layout.w, '--tile-h': layout.h }}
+            onDragOver={(event) => handleDragOver(event, item)}
+            onDrop={(event) => handleDrop(event, item)}
+          >
+            {renderTile(item, getDragHandleProps(item))}
+            <div
+              className="tile-resize-handle"
+              role="separator"
+              aria-label="Resize chart"
+              onPointerDown={(event) => startResize(event, item)}
+              onPointerMove={moveResize}
+              onPointerUp={endResize}
+              onPointerCancel={endResize}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
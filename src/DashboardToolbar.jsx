@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { CHART_PALETTES } from './chartTheme.js';
+import { AUTO_REFRESH_INTERVALS } from './autoRefresh.js';
+
+export default function DashboardToolbar({
+  dashboards,
+  activeDashboard,
+  onSelect,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onDownload,
+  isDownloading,
+  onRefresh,
+  isRefreshing,
+  onRefreshIntervalChange,
+  onPaletteChange,
+}) {
+  const [menuOpen, setMenuOpen] = useState(false);
+
+  const runMenuAction = (action) => {
+    setMenuOpen(false);
+    action(activeDashboard);
+  };
+
+  return (
+    <div className="dashboard-toolbar">
+      <div className="dashboard-picker">
+        {activeDashboard ? (
+          <select
+            className="dashboard-select"
+            value={activeDashboard.id}
+            onChange={(event) => onSelect(event.target.value)}
+            aria-label="Dashboard"
+          >
+            {dashboards.map((dashboard) => (
+              <option key={dashboard.id} value={dashboard.id}>
+                {dashboard.name}
+              </option>
+            ))}
+          </select>
+        ) : (
+          <div className="dashboard-title">Dashboards</div>
+        )}
+        <button type="button" className="pin-button" onClick={onCreate}>
+          New dashboard
+        </button>
+      </div>
+      {activeDashboard ? (
+        <div className="chart-actions">
+          <select
+            className="dashboard-palette"
+            value={activeDashboard.palette || CHART_PALETTES[0].id}
+            onChange={(event) => onPaletteChange(activeDashboard, event.target.value)}
+            aria-label="Chart palette"
+          >
+            {CHART_PALETTES.map((palette) => (
+              <option key={palette.id} value={palette.id}>
+                {palette.label} palette
+              </option>
+            ))}
+          </select>
+          <select
+            className="dashboard-interval"
+            value={activeDashboard.refreshIntervalMs || 0}
+            onChange={(event) =>
+              onRefreshIntervalChange(activeDashboard, Number(event.target.value))
+            }
+            aria-label="Auto-refresh interval"
+          >
+            {AUTO_REFRESH_INTERVALS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="pin-button"
+            onClick={() => onRefresh(activeDashboard)}
+            disabled={isRefreshing || !activeDashboard.charts.length}
+          >
+            {isRefreshing ? 'Refreshing...' : 'Refresh'}
+          </button>
+          <button
+            type="button"
+            className="pin-button"
+            onClick={onDownload}
+            disabled={isDownloading || !activeDashboard.charts.length}
+          >
+            {isDownloading ? 'Preparing...' : 'Download all'}
+          </button>
+          <div className="thread-item-actions">
+            <button
+              type="button"
+              className="menu-button"
+              aria-label="Dashboard actions"
+              onClick={() => setMenuOpen((prev) => !prev)}
+            >
+              ...
+            </button>
+            {menuOpen ? (
+              <div className="thread-menu">
+                <button type="button" onClick={() => runMenuAction(onRename)}>
+                  Rename
+                </button>
+                <button type="button" onClick={() => runMenuAction(onDuplicate)}>
+                  Duplicate
+                </button>
+                <button
+                  type="button"
+                  className="danger"
+                  onClick={() => runMenuAction(onDelete)}
+                >
+                  Delete
+                </button>
+              </div>
+            ) : null}
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import { useEffect, useMemo, useState } from 'react';
+import { getColumns, rowsToCsv } from './chartData.js';
+import { downloadText, toFileName } from './download.js';
+
+const PAGE_SIZE = 10;
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number') {
+    return value.toLocaleString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+export default function DataTable({ rows, title }) {
+  const [sort, setSort] = useState({ column: null, direction: 'asc' });
+  const [filter, setFilter] = useState('');
+  const [page, setPage] = useState(0);
+  const columns = useMemo(() => getColumns(rows), [rows]);
+
+  const visibleRows = useMemo(() => {
+    const needle = filter.trim().toLowerCase();
+    const filtered = needle
+      ? rows.filter((row) =>
+          columns.some((column) =>
+            formatCell(row[column]).toLowerCase().includes(needle),
+          ),
+        )
+      : rows;
+    if (!sort.column) {
+      return filtered;
+    }
+    const factor = sort.direction === 'asc' ? 1 : -1;
+    return [...filtered].sort(
+      (a, b) => factor * compareValues(a[sort.column], b[sort.column]),
+    );
+  }, [rows, columns, filter, sort]);
+
+  const pageCount = Math.max(1, Math.ceil(visibleRows.length / PAGE_SIZE));
+
+  useEffect(() => {
+    setPage(0);
+  }, [filter, rows]);
+
+  useEffect(() => {
+    if (page > pageCount - 1) {
+      setPage(pageCount - 1);
+    }
+  }, [page, pageCount]);
+
+  if (!rows.length) {
+    return <div className="data-empty">No data is embedded in this chart.</div>;
+  }
+
+  const toggleSort = (column) => {
+    setSort((prev) => {
+      if (prev.column !== column) {
+        return { column, direction: 'asc' };
+      }
+      if (prev.direction === 'asc') {
+        return { column, direction: 'desc' };
+      }
+      return { column: null, direction: 'asc' };
+    });
+  };
+
+  const exportCsv = () => {
+    downloadText(
+      rowsToCsv(visibleRows, columns),
+      `${toFileName(title)}.csv`,
+      'text/csv;charset=utf-8',
+    );
+  };
+
+  const exportJson = () => {
+    downloadText(
+      JSON.stringify(visibleRows, null, 2),
+      `${toFileName(title)}.json`,
+      'application/json',
+    );
+  };
+
+  const pageRows = visibleRows.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  return (
+    <div className="data-table">
+      <div className="data-toolbar">
+        <input
+          type="search"
+          className="data-filter"
+          placeholder="Filter rows..."
+          value={filter}
+          onChange={(event) => setFilter(event.target.value)}
+          aria-label="Filter rows"
+        />
+        <div className="data-toolbar-actions">
+          <button type="button" className="sql-action" onClick={exportCsv}>
+            CSV
+          </button>
+          <button type="button" className="sql-action" onClick={exportJson}>
+            JSON
+          </button>
+        </div>
+      </div>
+      <div className="data-scroll">
+        <table>
+          <thead>
+            <tr>
+              {columns.map((column) => (
+                <th
+                  key={column}
+                  aria-sort={
+                    sort.column === column
+                      ? sort.direction === 'asc'
+                        ? 'ascending'
+                        : 'descending'
+                      : 'none'
+                  }
+                >
+                  <button type="button" onClick={() => toggleSort(column)}>
+                    {column}
+                    {sort.column === column
+                      ? sort.direction === 'asc'
+                        ? ' ▲'
+                        : ' ▼'
+                      : ''}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.map((row, index) => (
+              <tr key={page * PAGE_SIZE + index}>
+                {columns.map((column) => (
+                  <td
+                    key={column}
+                    className={typeof row[column] === 'number' ? 'numeric' : ''}
+                  >
+                    {formatCell(row[column])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="data-footer">
+        <span>
+          {visibleRows.length === rows.length
+            ? `${rows.length} rows`
+            : `${visibleRows.length} of ${rows.length} rows`}
+        </span>
+        <div className="data-pager">
+          <button
+            type="button"
+            className="version-step"
+            onClick={() => setPage((prev) => prev - 1)}
+            disabled={page === 0}
+            aria-label="Previous page"
+          >
+            {'<'}
+          </button>
+          <span>
+            {page + 1} / {pageCount}
+          </span>
+          <button
+            type="button"
+            className="version-step"
+            onClick={() => setPage((prev) => prev + 1)}
+            disabled={page >= pageCount - 1}
+            aria-label="Next page"
+          >
+            {'>'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import { useEffect, useRef, useState } from 'react';
+import { PNG_SCALES, exportPng, exportSpec, exportSvg } from './chartExport.js';
+
+export default function ExportMenu({ spec, title, link, getView, chartOptions }) {
+  const [open, setOpen] = useState(false);
+  const [scale, setScale] = useState(2);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) {
+      return undefined;
+    }
+    const onPointerDown = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', onPointerDown);
+    return () => document.removeEventListener('mousedown', onPointerDown);
+  }, [open]);
+
+  const run = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      await action(getView ? getView() : null);
+      setOpen(false);
+    } catch (err) {
+      setError(err?.message || 'Export failed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="export-menu" ref={menuRef}>
+      <button
+        type="button"
+        className="pin-button"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        onClick={() => setOpen((prev) => !prev)}
+      >
+        Export
+      </button>
+      {open ? (
+        <div className="thread-menu export-menu-list" role="menu">
+          <div className="export-menu-row">
+            <button
+              type="button"
+              role="menuitem"
+              disabled={busy}
+              onClick={() => run((view) => exportPng(spec, title, scale, view, chartOptions))}
+            >
+              PNG
+            </button>
+            <select
+              value={scale}
+              onChange={(event) => setScale(Number(event.target.value))}
+              aria-label="PNG scale"
+            >
+              {PNG_SCALES.map((value) => (
+                <option key={value} value={value}>
+                  {value}x
+                </option>
+              ))}
+            </select>
+          </div>
+          <button
+            type="button"
+            role="menuitem"
+            disabled={busy}
+            onClick={() => run((view) => exportSvg(spec, title, view, chartOptions))}
+          >
+            SVG
+          </button>
+          <button
+            type="button"
+            role="menuitem"
+            disabled={busy}
+            onClick={() => run(() => exportSpec(spec, title, chartOptions))}
+          >
+            Vega spec (JSON)
+          </button>
+          {link ? (
+            <button
+              type="button"
+              role="menuitem"
+              onClick={() => run(() => navigator.clipboard.writeText(link))}
+            >
+              Copy link
+            </button>
+          ) : null}
+          {error ? <div className="export-error">{error}</div> : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import PipelineProgress from './PipelineProgress.jsx';
+import SqlCode from './SqlCode.jsx';
+import SuggestionChips from './SuggestionChips.jsx';
+
+export default function PendingCard({ pending, onStop, onDismiss, onChoose, onAsk }) {
+  const { phase, clarification } = pending;
+  const running = phase === 'asking' || phase === 'charting';
+
+  return (
+    <div className={`chart-card pending-card pending-card--${phase}`}>
+      <div className="chart-card-header">
+        <div className="chart-card-title">
+          <span className="chart-title-pill">{pending.query}</span>
+        </div>
+        <div className="chart-actions">
+          {running ? (
+            <button type="button" className="pin-button" onClick={onStop}>
+              Stop
+            </button>
+          ) : (
+            <button type="button" className="pin-button" onClick={onDismiss}>
+              Dismiss
+            </button>
+          )}
+        </div>
+      </div>
+      {phase === 'clarify' ? (
+        <div className="clarification">
+          <div className="clarification-message">{clarification.message}</div>
+          <SuggestionChips
+            label="Try asking:"
+            suggestions={clarification.suggestions}
+            onSelect={onAsk}
+          />
+        </div>
+      ) : (
+        <PipelineProgress progress={pending.progress} />
+      )}
+      {phase === 'choosing' ? (
+        <div className="candidate-list">
+          <div className="clarification-label">
+            {pending.candidates.length} possible queries. Pick one to chart:
+          </div>
+          {pending.candidates.map((candidate, index) => (
+            <div key={candidate.id} className="candidate">
+              <div className="candidate-header">
+                <span className="candidate-title">
+                  Option {index + 1}
+                  <span className="candidate-source">{candidate.source}</span>
+                </span>
+                <button
+                  type="button"
+                  className="sql-action sql-action--primary"
+                  onClick={() => onChoose(candidate)}
+                >
+                  Use this query
+                </button>
+              </div>
+              <SqlCode sql={candidate.sql} />
+            </div>
+          ))}
+        </div>
+      ) : null}
+      {phase === 'error' ? <div className="error">{pending.error}</div> : null}
+    </div>
+  );
+}
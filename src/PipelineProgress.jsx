@@ -0,0 +1,65 @@
+import { useEffect, useState } from 'react';
+import { PIPELINE_STAGES, getStageDurations } from './pipeline.js';
+
+const TICK_MS = 250;
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+export default function PipelineProgress({ progress }) {
+  const [now, setNow] = useState(Date.now());
+  const visits = progress?.visits || [];
+  const active = visits.find((visit) => !visit.endedAt);
+
+  useEffect(() => {
+    if (!active) {
+      return undefined;
+    }
+    const timer = setInterval(() => setNow(Date.now()), TICK_MS);
+    return () => clearInterval(timer);
+  }, [active]);
+
+  if (!progress) {
+    return null;
+  }
+
+  const durations = getStageDurations(progress, now);
+  const visited = new Set(visits.map((visit) => visit.stageId));
+  const stages = PIPELINE_STAGES.filter(
+    (stage) => !stage.optional || visited.has(stage.id),
+  );
+
+  return (
+    <div className="pipeline">
+      <ol className="pipeline-steps">
+        {stages.map((stage) => {
+          const state =
+            active?.stageId === stage.id
+              ? 'active'
+              : visited.has(stage.id)
+                ? 'done'
+                : 'pending';
+          return (
+            <li key={stage.id} className={`pipeline-step pipeline-step--${state}`}>
+              <span className="pipeline-dot" aria-hidden="true" />
+              <span className="pipeline-label">{stage.label}</span>
+              {state !== 'pending' ? (
+                <span className="pipeline-time">
+                  {formatSeconds(durations[stage.id] || 0)}
+                </span>
+              ) : null}
+            </li>
+          );
+        })}
+      </ol>
+      {progress.rephrased ? (
+        <div className="pipeline-detail">
+          <span className="pipeline-detail-label">Interpreted as:</span>{' '}
+          {progress.rephrased}
+        </div>
+      ) : null}
+      {progress.reasoning ? (
+        <div className="pipeline-detail pipeline-reasoning">{progress.reasoning}</div>
+      ) : null}
+    </div>
+  );
+}
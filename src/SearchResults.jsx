@@ -0,0 +1,50 @@
+import { getSearchTerms, getSnippet, splitMatches } from './search.js';
+
+const Highlight = ({ text, terms }) =>
+  splitMatches(text, terms).map((part, index) =>
+    part.match ? <mark key={index}>{part.text}</mark> : part.text,
+  );
+
+export default function SearchResults({ results, query, activeThreadId, onOpen }) {
+  const terms = getSearchTerms(query);
+
+  if (!results.length) {
+    return <div className="search-empty">No matches.</div>;
+  }
+
+  return (
+    <div className="search-results">
+      {results.map(({ thread, hits }) => (
+        <div key={thread.id} className="search-group">
+          <button
+            type="button"
+            className={`search-thread ${activeThreadId === thread.id ? 'active' : ''}`}
+            onClick={() => onOpen(thread.id)}
+          >
+            <Highlight text={thread.title} terms={terms} />
+          </button>
+          {hits.map(({ chart, fields }) => (
+            <button
+              key={chart.id}
+              type="button"
+              className="search-hit"
+              onClick={() => onOpen(thread.id, chart.id)}
+            >
+              <span className="search-hit-title">
+                <Highlight text={chart.title || chart.query} terms={terms} />
+              </span>
+              {fields
+                .filter((field) => field.text !== (chart.title || chart.query))
+                .map((field) => (
+                  <span key={field.id} className="search-hit-field">
+                    <span className="search-hit-label">{field.label}</span>{' '}
+                    <Highlight text={getSnippet(field.text, terms)} terms={terms} />
+                  </span>
+                ))}
+            </button>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,201 @@
+import { useState } from 'react';
+import { AUTH_TYPES, createConnection, normalizeConnection } from './connections.js';
+
+const TEXT_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'baseUrl', label: 'Base URL', placeholder: 'Same origin' },
+  { key: 'mdlHash', label: 'MDL hash' },
+  { key: 'language', label: 'Language' },
+];
+
+const TIMEOUT_FIELDS = [
+  { key: 'askTimeoutMs', label: 'Ask timeout (s)' },
+  { key: 'chartTimeoutMs', label: 'Chart timeout (s)' },
+];
+
+export default function SettingsDialog({ connections, threads, onSave, onClose }) {
+  const [profiles, setProfiles] = useState(connections.profiles);
+  const [activeId, setActiveId] = useState(connections.activeId);
+  const [selectedId, setSelectedId] = useState(connections.activeId);
+
+  const selected = profiles.find((profile) => profile.id === selectedId) || profiles[0];
+  const threadCount = threads.filter(
+    (thread) => thread.connectionId === selected.id,
+  ).length;
+
+  const update = (patch) =>
+    setProfiles((prev) =>
+      prev.map((profile) =>
+        profile.id === selected.id ? { ...profile, ...patch } : profile,
+      ),
+    );
+
+  const addProfile = () => {
+    const profile = createConnection({ language: selected.language });
+    setProfiles((prev) => [...prev, profile]);
+    setSelectedId(profile.id);
+  };
+
+  const removeProfile = () => {
+    const next = profiles.filter((profile) => profile.id !== selected.id);
+    setProfiles(next);
+    setSelectedId(next[0].id);
+    if (activeId === selected.id) {
+      setActiveId(next[0].id);
+    }
+  };
+
+  const handleSave = () => {
+    onSave({ profiles: profiles.map(normalizeConnection), activeId });
+    onClose();
+  };
+
+  return (
+    <div className="modal-backdrop" role="dialog" aria-modal="true">
+      <div className="modal settings-dialog">
+        <div className="modal-content">
+          <div className="modal-title">Settings</div>
+          <div className="settings-layout">
+            <div className="settings-profiles">
+              <span className="sidebar-title">Connections</span>
+              {profiles.map((profile) => (
+                <button
+                  key={profile.id}
+                  type="button"
+                  className={`settings-profile ${
+                    profile.id === selected.id ? 'active' : ''
+                  }`}
+                  onClick={() => setSelectedId(profile.id)}
+                >
+                  <span>{profile.name || 'Untitled connection'}</span>
+                  {profile.id === activeId ? (
+                    <span className="settings-badge">In use</span>
+                  ) : null}
+                </button>
+              ))}
+              <button type="button" className="sql-toggle" onClick={addProfile}>
+                Add connection
+              </button>
+            </div>
+
+            <div className="settings-form">
+              <label className="settings-check">
+                <input
+                  type="checkbox"
+                  checked={selected.demo}
+                  onChange={(event) => update({ demo: event.target.checked })}
+                />
+                Demo mode: answer from built-in sample data instead of the AI service
+              </label>
+              {TEXT_FIELDS.map((field) => (
+                <label key={field.key} className="settings-field">
+                  <span>{field.label}</span>
+                  <input
+                    type="text"
+                    value={selected[field.key]}
+                    placeholder={field.placeholder}
+                    autoComplete="off"
+                    onChange={(event) => update({ [field.key]: event.target.value })}
+                  />
+                </label>
+              ))}
+              <label className="settings-field">
+                <span>MDL (JSON, needed for follow-up suggestions)</span>
+                <textarea
+                  rows={3}
+                  value={selected.mdl}
+                  spellCheck={false}
+                  onChange={(event) => update({ mdl: event.target.value })}
+                />
+              </label>
+              <label className="settings-field">
+                <span>Authentication</span>
+                <select
+                  value={selected.authType}
+                  onChange={(event) => update({ authType: event.target.value })}
+                >
+                  {AUTH_TYPES.map((type) => (
+                    <option key={type.id} value={type.id}>
+                      {type.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {selected.authType === 'apiKey' ? (
+                <label className="settings-field">
+                  <span>Header name</span>
+                  <input
+                    type="text"
+                    value={selected.authHeaderName}
+                    autoComplete="off"
+                    onChange={(event) => update({ authHeaderName: event.target.value })}
+                  />
+                </label>
+              ) : null}
+              {selected.authType !== 'none' ? (
+                <label className="settings-field">
+                  <span>{selected.authType === 'bearer' ? 'Token' : 'API key'}</span>
+                  <input
+                    type="password"
+                    value={selected.authToken}
+                    autoComplete="off"
+                    onChange={(event) => update({ authToken: event.target.value })}
+                  />
+                </label>
+              ) : null}
+              {TIMEOUT_FIELDS.map((field) => (
+                <label key={field.key} className="settings-field">
+                  <span>{field.label}</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={Math.round(selected[field.key] / 1000)}
+                    onChange={(event) =>
+                      update({ [field.key]: Number(event.target.value) * 1000 })
+                    }
+                  />
+                </label>
+              ))}
+              <div className="settings-note">
+                {threadCount === 1
+                  ? '1 thread uses this connection.'
+                  : `${threadCount} threads use this connection.`}{' '}
+                New threads use the connection marked “In use”.
+              </div>
+              <div className="sql-panel-actions">
+                <button
+                  type="button"
+                  className="sql-action"
+                  onClick={() => setActiveId(selected.id)}
+                  disabled={selected.id === activeId}
+                >
+                  Use for new threads
+                </button>
+                <button
+                  type="button"
+                  className="sql-action"
+                  onClick={removeProfile}
+                  disabled={profiles.length === 1}
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          </div>
+          <div className="modal-actions">
+            <button type="button" className="modal-button" onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="modal-button modal-button--primary"
+              onClick={handleSave}
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+const SQL_KEYWORDS = new Set([
+  'select', 'from', 'where', 'and', 'or', 'not', 'in', 'is', 'null', 'as',
+  'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'on', 'using',
+  'group', 'by', 'order', 'having', 'limit', 'offset', 'distinct', 'union',
+  'all', 'with', 'case', 'when', 'then', 'else', 'end', 'asc', 'desc',
+  'between', 'like', 'ilike', 'exists', 'cast', 'interval', 'over',
+  'partition', 'true', 'false', 'date', 'timestamp',
+]);
+
+const SQL_TOKEN_PATTERN =
+  /(--[^\n]*|\/\*[\s\S]*?\*\/)|('(?:[^']|'')*')|("(?:[^"]|"")*")|(\b\d+(?:\.\d+)?\b)|([A-Za-z_][A-Za-z0-9_]*)(?=\s*\()|([A-Za-z_][A-Za-z0-9_]*)/g;
+
+const tokenizeSql = (sql) => {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  SQL_TOKEN_PATTERN.lastIndex = 0;
+  while ((match = SQL_TOKEN_PATTERN.exec(sql)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'text', value: sql.slice(lastIndex, match.index) });
+    }
+    const [value, comment, string, identifier, number, fn, word] = match;
+    let type = 'text';
+    if (comment) type = 'comment';
+    else if (string) type = 'string';
+    else if (identifier) type = 'identifier';
+    else if (number) type = 'number';
+    else if (fn) type = SQL_KEYWORDS.has(fn.toLowerCase()) ? 'keyword' : 'function';
+    else if (word && SQL_KEYWORDS.has(word.toLowerCase())) type = 'keyword';
+    tokens.push({ type, value });
+    lastIndex = match.index + value.length;
+  }
+
+  if (lastIndex < sql.length) {
+    tokens.push({ type: 'text', value: sql.slice(lastIndex) });
+  }
+  return tokens;
+};
+
+export default function SqlCode({ sql }) {
+  return (
+    <pre className="sql-code">
+      <code>
+        {tokenizeSql(sql).map((token, index) =>
+          token.type === 'text' ? (
+            token.value
+          ) : (
+            <span key={index} className={`sql-token sql-token--${token.type}`}>
+              {token.value}
+            </span>
+          ),
+        )}
+      </code>
+    </pre>
+  );
+}
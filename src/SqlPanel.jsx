@@ -0,0 +1,131 @@
+import { useEffect, useRef, useState } from 'react';
+import SqlCode from './SqlCode.jsx';
+import { getErrorMessage } from './apiErrors.js';
+
+export default function SqlPanel({ sql, onRun }) {
+  const [open, setOpen] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(sql || '');
+  const [running, setRunning] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+  const copyTimerRef = useRef(null);
+
+  useEffect(() => {
+    if (!editing) {
+      setDraft(sql || '');
+    }
+  }, [sql, editing]);
+
+  useEffect(
+    () => () => {
+      if (copyTimerRef.current) {
+        clearTimeout(copyTimerRef.current);
+      }
+    },
+    [],
+  );
+
+  if (!sql) {
+    return null;
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(editing ? draft : sql);
+      setCopied(true);
+      if (copyTimerRef.current) {
+        clearTimeout(copyTimerRef.current);
+      }
+      copyTimerRef.current = setTimeout(() => setCopied(false), 1500);
+    } catch {
+      setError('Unable to copy to the clipboard.');
+    }
+  };
+
+  const handleRun = async () => {
+    const nextSql = draft.trim();
+    if (!nextSql || !onRun) {
+      return;
+    }
+    setError('');
+    setRunning(true);
+    try {
+      await onRun(nextSql);
+      setEditing(false);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Unable to re-run this query.'));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const cancelEdit = () => {
+    setEditing(false);
+    setDraft(sql);
+    setError('');
+  };
+
+  return (
+    <div className="sql-panel">
+      <div className="sql-panel-header">
+        <button
+          type="button"
+          className="sql-toggle"
+          aria-expanded={open}
+          onClick={() => setOpen((prev) => !prev)}
+        >
+          {open ? 'Hide SQL' : 'Show SQL'}
+        </button>
+        {open ? (
+          <div className="sql-panel-actions">
+            <button type="button" className="sql-action" onClick={handleCopy}>
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+            {onRun && !editing ? (
+              <button
+                type="button"
+                className="sql-action"
+                onClick={() => setEditing(true)}
+              >
+                Edit
+              </button>
+            ) : null}
+          </div>
+        ) : null}
+      </div>
+      {open && !editing ? <SqlCode sql={sql} /> : null}
+      {open && editing ? (
+        <div className="sql-editor">
+          <textarea
+            className="sql-input"
+            value={draft}
+            onChange={(event) => setDraft(event.target.value)}
+            spellCheck={false}
+            rows={Math.min(Math.max(draft.split('\n').length, 4), 16)}
+            aria-label="SQL"
+          />
+          <div className="sql-panel-actions">
+            <button
+              type="button"
+              className="sql-action"
+              onClick={cancelEdit}
+              disabled={running}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="sql-action sql-action--primary"
+              onClick={handleRun}
+              disabled={running || !draft.trim()}
+            >
+              {running ? 'Generating chart...' : 'Run'}
+            </button>
+          </div>
+        </div>
+      ) : null}
+      {open && error ? <div className="sql-error">{error}</div> : null}
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+const formatBytes = (bytes) => {
+  if (!Number.isFinite(bytes) || bytes <= 0) {
+    return '0 B';
+  }
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / 1024 ** exponent;
+  return `${value.toFixed(value >= 10 || exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+export default function StorageStatus({ estimate, hasError }) {
+  if (!estimate) {
+    return null;
+  }
+
+  const ratio = estimate.quota ? Math.min(estimate.usage / estimate.quota, 1) : 0;
+  const level = hasError || ratio > 0.9 ? 'critical' : ratio > 0.7 ? 'warning' : 'ok';
+
+  return (
+    <div className={`storage-status storage-status--${level}`}>
+      <div className="storage-status-label">
+        Storage: {formatBytes(estimate.usage)}
+        {estimate.quota ? ` of ${formatBytes(estimate.quota)}` : ''}
+      </div>
+      {estimate.quota ? (
+        <div
+          className="storage-meter"
+          role="meter"
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={Math.round(ratio * 100)}
+          aria-label="Storage used"
+        >
+          <div className="storage-meter-fill" style={{ width: `${ratio * 100}%` }} />
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+export default function SuggestionChips({ label, suggestions, onSelect, className = '' }) {
+  if (!suggestions?.length) {
+    return null;
+  }
+
+  return (
+    <div className={['suggestions', className].filter(Boolean).join(' ')}>
+      {label ? <div className="clarification-label">{label}</div> : null}
+      <div className="suggestion-list">
+        {suggestions.map((suggestion) => (
+          <button
+            key={suggestion}
+            type="button"
+            className="suggestion-chip"
+            onClick={() => onSelect(suggestion)}
+          >
+            {suggestion}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import { EMPTY_THREAD_FILTERS, hasThreadFilters } from './search.js';
+
+export default function ThreadSearch({ filters, onChange }) {
+  const update = (patch) => onChange({ ...filters, ...patch });
+  const active = Boolean(filters.query) || hasThreadFilters(filters);
+
+  return (
+    <div className="thread-search">
+      <input
+        type="search"
+        className="thread-search-input"
+        placeholder="Search threads, questions, SQL..."
+        value={filters.query}
+        onChange={(event) => update({ query: event.target.value })}
+        aria-label="Search threads"
+      />
+      <div className="thread-search-filters">
+        <label>
+          <span>From</span>
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(event) => update({ from: event.target.value })}
+          />
+        </label>
+        <label>
+          <span>To</span>
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(event) => update({ to: event.target.value })}
+          />
+        </label>
+      </div>
+      <div className="thread-search-row">
+        <label className="thread-search-check">
+          <input
+            type="checkbox"
+            checked={filters.pinnedOnly}
+            onChange={(event) => update({ pinnedOnly: event.target.checked })}
+          />
+          Has pinned charts
+        </label>
+        {active ? (
+          <button
+            type="button"
+            className="sql-toggle"
+            onClick={() => onChange(EMPTY_THREAD_FILTERS)}
+          >
+            Clear
+          </button>
+        ) : null}
+      </div>
+    </div>
+  );
+}
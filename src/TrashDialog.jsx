@@ -0,0 +1,121 @@
+import { useState } from 'react';
+import { RETENTION_OPTIONS, getExpiresAt, getTrashItemTitle } from './trash.js';
+
+const formatDate = (value) => new Date(value).toLocaleString();
+
+const describeOrigin = (item) => {
+  if (item.kind === 'thread') return `Thread with ${item.thread.charts.length} charts`;
+  if (item.kind === 'dashboard') {
+    return `Dashboard with ${item.dashboard.charts.length} charts`;
+  }
+  return `Chart from ${item.dashboardName}`;
+};
+
+export default function TrashDialog({
+  trash,
+  onRestore,
+  onPurge,
+  onEmpty,
+  onRetentionChange,
+  onClose,
+}) {
+  const [confirmEmpty, setConfirmEmpty] = useState(false);
+  const items = [...trash.items].sort(
+    (a, b) => new Date(b.deletedAt).getTime() - new Date(a.deletedAt).getTime(),
+  );
+
+  return (
+    <div className="modal-backdrop" role="dialog" aria-modal="true">
+      <div className="modal trash-dialog">
+        <div className="modal-content">
+          <div className="modal-title">Trash</div>
+          <label className="trash-retention">
+            <span>Keep deleted items for</span>
+            <select
+              value={trash.retentionDays}
+              onChange={(event) => onRetentionChange(Number(event.target.value))}
+            >
+              {RETENTION_OPTIONS.map((days) => (
+                <option key={days} value={days}>
+                  {days === 1 ? '1 day' : `${days} days`}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div className="trash-list">
+            {!items.length ? (
+              <div className="trash-note">The trash is empty.</div>
+            ) : null}
+            {items.map((item) => (
+              <div key={item.id} className="trash-item">
+                <div className="trash-item-details">
+                  <span className="trash-item-title">{getTrashItemTitle(item)}</span>
+                  <span className="trash-note">
+                    {describeOrigin(item)} · deleted {formatDate(item.deletedAt)} ·
+                    removed after {formatDate(getExpiresAt(item, trash.retentionDays))}
+                  </span>
+                </div>
+                <button
+                  type="button"
+                  className="sql-action"
+                  onClick={() => onRestore(item)}
+                >
+                  Restore
+                </button>
+                <button
+                  type="button"
+                  className="sql-action"
+                  onClick={() => onPurge(item)}
+                >
+                  Delete forever
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="modal-actions">
+            {confirmEmpty ? (
+              <>
+                <span className="trash-note">
+                  Permanently delete {items.length} items?
+                </span>
+                <button
+                  type="button"
+                  className="modal-button"
+                  onClick={() => setConfirmEmpty(false)}
+                >
+                  Keep
+                </button>
+                <button
+                  type="button"
+                  className="modal-button modal-button--primary"
+                  onClick={() => {
+                    onEmpty();
+                    setConfirmEmpty(false);
+                  }}
+                >
+                  Empty trash
+                </button>
+              </>
+            ) : (
+              <>
+                <button
+                  type="button"
+                  className="modal-button"
+                  onClick={() => setConfirmEmpty(true)}
+                  disabled={!items.length}
+                >
+                  Empty trash
+                </button>
+                <button type="button" className="modal-button" onClick={onClose}>
+                  Close
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import { useEffect, useRef } from 'react';
+
+const TOAST_DURATION_MS = 8_000;
+
+// Render with a `key` per deleted item so the timer restarts for each one.
+export default function UndoToast({ message, onUndo, onDismiss }) {
+  const dismissRef = useRef(onDismiss);
+  dismissRef.current = onDismiss;
+
+  useEffect(() => {
+    const timer = setTimeout(() => dismissRef.current(), TOAST_DURATION_MS);
+    return () => clearTimeout(timer);
+  }, []);
+
+  return (
+    <div className="undo-toast" role="status">
+      <span>{message}</span>
+      <button type="button" className="undo-toast-action" onClick={onUndo}>
+        Undo
+      </button>
+      <button
+        type="button"
+        className="menu-button"
+        aria-label="Dismiss"
+        onClick={onDismiss}
+      >
+        x
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import { getChartVersions, getVersionIndex } from './chartVersions.js';
+
+const SOURCE_LABELS = {
+  ask: 'Original',
+  sql: 'Edited SQL',
+  editor: 'Edited chart',
+  adjust: 'Adjusted',
+};
+
+export default function VersionSwitcher({ chart, onSelect }) {
+  const versions = getChartVersions(chart);
+  if (versions.length < 2) {
+    return null;
+  }
+
+  const index = getVersionIndex(chart);
+  const current = versions[index];
+
+  return (
+    <div className="version-switcher">
+      <button
+        type="button"
+        className="version-step"
+        onClick={() => onSelect(index - 1)}
+        disabled={index === 0}
+        aria-label="Previous version"
+      >
+        {'<'}
+      </button>
+      <span
+        className="version-label"
+        title={[SOURCE_LABELS[current?.source] || current?.source, current?.instruction]
+          .filter(Boolean)
+          .join(': ')}
+      >
+        v{index + 1} of {versions.length}
+      </span>
+      <button
+        type="button"
+        className="version-step"
+        onClick={() => onSelect(index + 1)}
+        disabled={index === versions.length - 1}
+        aria-label="Next version"
+      >
+        {'>'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,220 @@
+import { useState } from 'react';
+import { downloadText } from './download.js';
+import { BundleValidationError, createBundle, parseBundle } from './workspaceBundle.js';
+
+const toggleId = (set, id) => {
+  const next = new Set(set);
+  if (next.has(id)) {
+    next.delete(id);
+  } else {
+    next.add(id);
+  }
+  return next;
+};
+
+export default function WorkspaceDialog({
+  threads,
+  dashboards,
+  activeThreadId,
+  onImport,
+  onClose,
+}) {
+  const [selectedThreads, setSelectedThreads] = useState(
+    () => new Set(threads.map((thread) => thread.id)),
+  );
+  const [selectedDashboards, setSelectedDashboards] = useState(
+    () => new Set(dashboards.map((dashboard) => dashboard.id)),
+  );
+  const [bundle, setBundle] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [mode, setMode] = useState('merge');
+  const [issues, setIssues] = useState([]);
+  const [summary, setSummary] = useState('');
+
+  const allSelected =
+    selectedThreads.size === threads.length &&
+    selectedDashboards.size === dashboards.length;
+
+  const toggleAll = () => {
+    if (allSelected) {
+      setSelectedThreads(new Set());
+      setSelectedDashboards(new Set());
+    } else {
+      setSelectedThreads(new Set(threads.map((thread) => thread.id)));
+      setSelectedDashboards(new Set(dashboards.map((dashboard) => dashboard.id)));
+    }
+  };
+
+  const handleExport = () => {
+    const exportedThreads = threads.filter((thread) => selectedThreads.has(thread.id));
+    const payload = createBundle({
+      threads: exportedThreads,
+      dashboards: dashboards.filter((dashboard) => selectedDashboards.has(dashboard.id)),
+      activeThreadId: selectedThreads.has(activeThreadId) ? activeThreadId : null,
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    downloadText(
+      JSON.stringify(payload, null, 2),
+      `wren-workspace-${date}.json`,
+      'application/json',
+    );
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    setBundle(null);
+    setIssues([]);
+    setSummary('');
+    if (!file) {
+      return;
+    }
+    setFileName(file.name);
+    try {
+      setBundle(parseBundle(await file.text()));
+    } catch (err) {
+      setIssues(
+        err instanceof BundleValidationError
+          ? err.issues
+          : [err?.message || 'Unable to read the file.'],
+      );
+    }
+  };
+
+  const handleImport = () => {
+    if (!bundle) {
+      return;
+    }
+    setSummary(onImport(bundle, mode));
+    setBundle(null);
+  };
+
+  const nothingSelected = !selectedThreads.size && !selectedDashboards.size;
+
+  return (
+    <div className="modal-backdrop" role="dialog" aria-modal="true">
+      <div className="modal workspace-dialog">
+        <div className="modal-content">
+          <div className="modal-title">Workspace</div>
+
+          <section className="workspace-section">
+            <div className="workspace-section-header">
+              <span className="sidebar-title">Export</span>
+              <button type="button" className="sql-toggle" onClick={toggleAll}>
+                {allSelected ? 'Select none' : 'Select all'}
+              </button>
+            </div>
+            <div className="workspace-list">
+              {threads.length ? <div className="workspace-group">Threads</div> : null}
+              {threads.map((thread) => (
+                <label key={thread.id} className="workspace-option">
+                  <input
+                    type="checkbox"
+                    checked={selectedThreads.has(thread.id)}
+                    onChange={() =>
+                      setSelectedThreads((prev) => toggleId(prev, thread.id))
+                    }
+                  />
+                  <span>{thread.title}</span>
+                  <span className="workspace-count">{thread.charts.length} charts</span>
+                </label>
+              ))}
+              {dashboards.length ? (
+                <div className="workspace-group">Dashboards</div>
+              ) : null}
+              {dashboards.map((dashboard) => (
+                <label key={dashboard.id} className="workspace-option">
+                  <input
+                    type="checkbox"
+                    checked={selectedDashboards.has(dashboard.id)}
+                    onChange={() =>
+                      setSelectedDashboards((prev) => toggleId(prev, dashboard.id))
+                    }
+                  />
+                  <span>{dashboard.name}</span>
+                  <span className="workspace-count">
+                    {dashboard.charts.length} charts
+                  </span>
+                </label>
+              ))}
+              {!threads.length && !dashboards.length ? (
+                <div className="workspace-count">Nothing to export yet.</div>
+              ) : null}
+            </div>
+            <div className="modal-actions">
+              <button
+                type="button"
+                className="modal-button modal-button--primary"
+                onClick={handleExport}
+                disabled={nothingSelected}
+              >
+                Export JSON
+              </button>
+            </div>
+          </section>
+
+          <section className="workspace-section">
+            <span className="sidebar-title">Import</span>
+            <input
+              type="file"
+              accept="application/json,.json"
+              onChange={handleFile}
+              aria-label="Workspace file"
+            />
+            <div className="workspace-modes">
+              <label>
+                <input
+                  type="radio"
+                  name="import-mode"
+                  value="merge"
+                  checked={mode === 'merge'}
+                  onChange={() => setMode('merge')}
+                />
+                Merge with current workspace
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  name="import-mode"
+                  value="replace"
+                  checked={mode === 'replace'}
+                  onChange={() => setMode('replace')}
+                />
+                Replace current workspace
+              </label>
+            </div>
+            {bundle ? (
+              <div className="workspace-count">
+                {fileName}: {bundle.threads.length} threads, {bundle.dashboards.length}{' '}
+                dashboards, exported {new Date(bundle.exportedAt).toLocaleString()}.
+                {mode === 'replace'
+                  ? ' Your current threads and dashboards will be moved to the trash.'
+                  : ''}
+              </div>
+            ) : null}
+            {issues.length ? (
+              <ul className="workspace-issues">
+                {issues.map((issue) => (
+                  <li key={issue}>{issue}</li>
+                ))}
+              </ul>
+            ) : null}
+            {summary ? <div className="workspace-summary">{summary}</div> : null}
+            <div className="modal-actions">
+              <button type="button" className="modal-button" onClick={onClose}>
+                Close
+              </button>
+              <button
+                type="button"
+                className="modal-button modal-button--primary"
+                onClick={handleImport}
+                disabled={!bundle}
+              >
+                Import
+              </button>
+            </div>
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
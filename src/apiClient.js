@@ -0,0 +1,321 @@
+import {
+  ApiError,
+  ApiJobError,
+  ApiNetworkError,
+  ApiTimeoutError,
+  createResponseError,
+  parseErrorBody,
+} from './apiErrors.js';
+import { parseSpec } from './chartData.js';
+import { createId } from './chartVersions.js';
+import { getAuthHeaders } from './connections.js';
+import { mockFetch } from './mockService.js';
+
+// Client for the Wren AI service. Every call takes the connection profile it
+// should use (base URL, auth, MDL hash, language and timeouts); connections in
+// demo mode are answered by the in-browser mock service instead.
+const RECOMMENDATION_TIMEOUT_MS = 60_000;
+const POLL_INTERVAL_MS = 1_000;
+const MAX_POLL_INTERVAL_MS = 8_000;
+const POLL_BACKOFF_FACTOR = 1.5;
+const MAX_TRANSIENT_RETRIES = 5;
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_START_STATUSES = new Set([429, 503]);
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (!signal) {
+      return;
+    }
+    signal.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      },
+      { once: true },
+    );
+  });
+
+const waitForOnline = (signal) =>
+  new Promise((resolve, reject) => {
+    if (navigator.onLine) {
+      resolve();
+      return;
+    }
+    const cleanup = () => {
+      window.removeEventListener('online', onOnline);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onOnline = () => {
+      cleanup();
+      resolve();
+    };
+    const onAbort = () => {
+      cleanup();
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    window.addEventListener('online', onOnline);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+const withJitter = (ms) => Math.round(ms * (0.8 + Math.random() * 0.4));
+
+const isTransientError = (err) =>
+  err instanceof ApiNetworkError || TRANSIENT_STATUSES.has(err?.status);
+
+const buildUrl = (connection, path) =>
+  connection.baseUrl ? `${connection.baseUrl}${path}` : path;
+
+const request = async (connection, method, path, body, signal) => {
+  const requestId = createId();
+  const headers = { ...getAuthHeaders(connection), [REQUEST_ID_HEADER]: requestId };
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  let response;
+  try {
+    const send = connection.demo ? mockFetch : fetch;
+    response = await send(connection.demo ? path : buildUrl(connection, path), {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (err?.name === 'AbortError') {
+      throw err;
+    }
+    // fetch rejects with a TypeError when the network request itself fails.
+    throw new ApiNetworkError(err?.message || 'Network request failed.', {
+      requestId,
+      cause: err,
+    });
+  }
+
+  const responseId = response.headers.get(REQUEST_ID_HEADER) || requestId;
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw createResponseError(
+      response.status,
+      parseErrorBody(text, response.headers.get('Content-Type') || ''),
+      responseId,
+    );
+  }
+
+  try {
+    return await response.json();
+  } catch (err) {
+    throw new ApiError('The AI service returned an invalid response.', {
+      status: response.status,
+      requestId: responseId,
+      cause: err,
+    });
+  }
+};
+
+const requireId = (value, message) => {
+  if (!value) {
+    throw new ApiError(message);
+  }
+  return value;
+};
+
+// Creates a job, retrying rate limits, unavailability and network failures.
+// Other 5xx errors aren't retried since the service may have created the job.
+// A 429 or 503 means it never did; after a network error it may have, which at
+// worst leaves one job nobody polls.
+const startJob = async (connection, path, payload, signal) => {
+  let interval = POLL_INTERVAL_MS;
+  for (let attempt = 0; ; attempt += 1) {
+    if (!navigator.onLine) {
+      await waitForOnline(signal);
+    }
+    try {
+      return await request(connection, 'POST', path, payload, signal);
+    } catch (err) {
+      const retryable =
+        err instanceof ApiNetworkError || RETRYABLE_START_STATUSES.has(err?.status);
+      if (!retryable || attempt >= MAX_TRANSIENT_RETRIES) {
+        throw err;
+      }
+    }
+    await sleep(withJitter(interval), signal);
+    interval = Math.min(interval * POLL_BACKOFF_FACTOR, MAX_POLL_INTERVAL_MS);
+  }
+};
+
+// Polls a job until it finishes. The interval backs off with jitter, transient
+// HTTP/network failures are retried, and time spent offline doesn't count
+// towards the deadline.
+const pollJob = async (connection, path, signal, onUpdate, label, timeoutMs) => {
+  let deadline = Date.now() + timeoutMs;
+  let interval = POLL_INTERVAL_MS;
+  let failures = 0;
+
+  while (true) {
+    if (!navigator.onLine) {
+      const pausedAt = Date.now();
+      await waitForOnline(signal);
+      deadline += Date.now() - pausedAt;
+    }
+
+    let result = null;
+    try {
+      result = await request(connection, 'GET', path, undefined, signal);
+      failures = 0;
+    } catch (err) {
+      failures += 1;
+      if (!isTransientError(err) || failures > MAX_TRANSIENT_RETRIES) {
+        throw err;
+      }
+    }
+
+    if (result) {
+      if (onUpdate) {
+        onUpdate(result);
+      }
+
+      if (result.status === 'finished') {
+        return result;
+      }
+
+      if (result.status === 'failed' || result.status === 'stopped') {
+        throw new ApiJobError(result.error?.message || `${label} failed.`, {
+          code: result.error?.code || (result.status === 'stopped' ? 'STOPPED' : null),
+        });
+      }
+    }
+
+    if (Date.now() > deadline) {
+      throw new ApiTimeoutError(`${label} timed out.`);
+    }
+
+    await sleep(withJitter(interval), signal);
+    interval = Math.min(interval * POLL_BACKOFF_FACTOR, MAX_POLL_INTERVAL_MS);
+  }
+};
+
+export const startAsk = async (connection, query, threadId, histories, signal) => {
+  const payload = {
+    request_from: 'ui',
+    query,
+    mdl_hash: connection.mdlHash,
+  };
+  if (threadId) {
+    payload.thread_id = threadId;
+  }
+  if (histories && histories.length) {
+    payload.histories = histories;
+  }
+
+  const data = await startJob(connection, '/v1/asks', payload, signal);
+  return requireId(data?.query_id, 'Ask request did not return a query id.');
+};
+
+export const pollAskResult = (connection, queryId, signal, onUpdate) =>
+  pollJob(
+    connection,
+    `/v1/asks/${queryId}/result`,
+    signal,
+    onUpdate,
+    'Ask',
+    connection.askTimeoutMs,
+  );
+
+export const stopAsk = (connection, queryId) =>
+  request(connection, 'PATCH', `/v1/asks/${queryId}`, { status: 'stopped' });
+
+export const startChart = async (connection, query, sql, threadId, signal) => {
+  const payload = {
+    request_from: 'ui',
+    query,
+    sql,
+    remove_data_from_chart_schema: false,
+    configurations: { language: connection.language },
+  };
+  if (threadId) {
+    payload.thread_id = threadId;
+  }
+
+  const data = await startJob(connection, '/v1/charts', payload, signal);
+  return requireId(data?.query_id, 'Chart request did not return a query id.');
+};
+
+export const pollChartResult = (connection, queryId, signal, onUpdate) =>
+  pollJob(
+    connection,
+    `/v1/charts/${queryId}`,
+    signal,
+    onUpdate,
+    'Chart generation',
+    connection.chartTimeoutMs,
+  );
+
+export const stopChart = (connection, queryId) =>
+  request(connection, 'PATCH', `/v1/charts/${queryId}`, { status: 'stopped' });
+
+export const startChartAdjustment = async (connection, chart, instruction, signal) => {
+  const payload = {
+    request_from: 'ui',
+    query: chart.query,
+    sql: chart.sql,
+    chart_schema: parseSpec(chart.spec),
+    adjustment_command: instruction,
+    configurations: { language: connection.language },
+  };
+  if (chart.threadId) {
+    payload.thread_id = chart.threadId;
+  }
+
+  const data = await startJob(connection, '/v1/chart-adjustments', payload, signal);
+  return requireId(data?.query_id, 'Chart adjustment request did not return a query id.');
+};
+
+export const pollChartAdjustmentResult = (connection, queryId, signal, onUpdate) =>
+  pollJob(
+    connection,
+    `/v1/chart-adjustments/${queryId}`,
+    signal,
+    onUpdate,
+    'Chart adjustment',
+    connection.chartTimeoutMs,
+  );
+
+// Unlike asks, recommendations take the MDL itself rather than its hash, plus
+// only the earlier questions and a singular `configuration`.
+export const startQuestionRecommendation = async (
+  connection,
+  previousQuestions,
+  maxQuestions,
+  signal,
+) => {
+  const payload = {
+    mdl: connection.mdl,
+    previous_questions: previousQuestions,
+    max_questions: maxQuestions,
+    max_categories: maxQuestions,
+    configuration: { language: connection.language },
+  };
+
+  const data = await startJob(
+    connection,
+    '/v1/question-recommendations',
+    payload,
+    signal,
+  );
+  return requireId(data?.id, 'Question recommendation request did not return an id.');
+};
+
+export const pollQuestionRecommendation = (connection, id, signal) =>
+  pollJob(
+    connection,
+    `/v1/question-recommendations/${id}`,
+    signal,
+    null,
+    'Question recommendation',
+    RECOMMENDATION_TIMEOUT_MS,
+  );
@@ -0,0 +1,176 @@
+// Typed errors for AI service requests. `message` holds the service's own
+// explanation (parsed out of its error body); `getErrorMessage` turns an error
+// into the friendly text shown in the UI.
+const MAX_DETAIL_LENGTH = 200;
+
+export class ApiError extends Error {
+  constructor(message, { status = null, code = null, requestId = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.requestId = requestId;
+  }
+}
+
+export class ApiValidationError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ApiValidationError';
+  }
+}
+
+export class ApiAuthError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ApiAuthError';
+  }
+}
+
+export class ApiNotFoundError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ApiNotFoundError';
+  }
+}
+
+export class ApiTimeoutError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ApiTimeoutError';
+  }
+}
+
+export class ApiServerError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ApiServerError';
+  }
+}
+
+export class ApiNetworkError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ApiNetworkError';
+  }
+}
+
+// A job the service accepted but reported as failed or stopped; `code` is the
+// service's error code (e.g. NO_RELEVANT_SQL).
+export class ApiJobError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ApiJobError';
+  }
+}
+
+const truncate = (text) =>
+  text.length > MAX_DETAIL_LENGTH ? `${text.slice(0, MAX_DETAIL_LENGTH)}...` : text;
+
+// FastAPI validation errors come back as `detail: [{ loc, msg }]`.
+const formatDetail = (detail) => {
+  if (typeof detail === 'string') {
+    return detail;
+  }
+  if (Array.isArray(detail)) {
+    return detail
+      .map((item) => {
+        const location = Array.isArray(item?.loc)
+          ? item.loc.filter((part) => part !== 'body').join('.')
+          : '';
+        return location ? `${location}: ${item?.msg}` : item?.msg;
+      })
+      .filter(Boolean)
+      .join('; ');
+  }
+  return '';
+};
+
+// Error bodies may be JSON (`detail`, `error.message` or `message`), plain
+// text or an HTML error page from a proxy; HTML is never shown to the user.
+export const parseErrorBody = (text, contentType = '') => {
+  const body = (text || '').trim();
+  if (!body) {
+    return { message: '', code: null };
+  }
+  if (contentType.includes('json') || /^[[{]/.test(body)) {
+    try {
+      const data = JSON.parse(body);
+      return {
+        message: truncate(
+          formatDetail(data?.detail) || data?.error?.message || data?.message || '',
+        ),
+        code: data?.error?.code || data?.code || null,
+      };
+    } catch {
+      // Not JSON after all; fall through to the text handling.
+    }
+  }
+  if (contentType.includes('html') || /^<(!doctype|html)/i.test(body)) {
+    return { message: '', code: null };
+  }
+  return { message: truncate(body), code: null };
+};
+
+export const createResponseError = (status, body, requestId) => {
+  const options = { status, code: body.code, requestId };
+  const message = body.message || `Request failed (${status})`;
+  if (status === 400 || status === 422) {
+    return new ApiValidationError(message, options);
+  }
+  if (status === 401 || status === 403) {
+    return new ApiAuthError(message, options);
+  }
+  if (status === 404) {
+    return new ApiNotFoundError(message, options);
+  }
+  if (status === 408 || status === 504) {
+    return new ApiTimeoutError(message, options);
+  }
+  if (status >= 500) {
+    return new ApiServerError(message, options);
+  }
+  return new ApiError(message, options);
+};
+
+const JOB_ERROR_MESSAGES = {
+  NO_RELEVANT_DATA:
+    'No relevant data was found for this question. Try rephrasing it or asking about a different table.',
+  NO_RELEVANT_SQL:
+    'The AI service could not write SQL for this question. Try rephrasing it with column or table names.',
+  STOPPED: 'This request was stopped.',
+};
+
+const describe = (err) => {
+  if (err instanceof ApiNetworkError) {
+    return 'Could not reach the AI service. Check your network and the base URL in Settings.';
+  }
+  if (err instanceof ApiTimeoutError) {
+    return 'The AI service took too long to respond. Try again, or raise the timeout in Settings.';
+  }
+  if (err instanceof ApiAuthError) {
+    return 'The AI service rejected the credentials. Check the authentication in Settings.';
+  }
+  if (err instanceof ApiNotFoundError) {
+    return 'The AI service could not find this request. Check the base URL in Settings and try again.';
+  }
+  if (err instanceof ApiValidationError) {
+    return `The AI service rejected the request${
+      err.message ? `: ${err.message}` : ''
+    }. Check the MDL hash and language in Settings.`;
+  }
+  if (err instanceof ApiServerError) {
+    return `The AI service ran into an error (${err.status}). Try again in a moment.`;
+  }
+  if (err instanceof ApiJobError) {
+    return JOB_ERROR_MESSAGES[err.code] || err.message;
+  }
+  return err?.message || '';
+};
+
+export const getErrorMessage = (err, fallback = 'Something went wrong.') => {
+  const message = describe(err) || fallback;
+  return err instanceof ApiError && err.requestId
+    ? `${message} (request ${err.requestId})`
+    : message;
+};
@@ -0,0 +1,50 @@
+// Ask results either carry SQL candidates or are classified as a question the
+// service can't answer from the data (general chat, or too ambiguous).
+const CLARIFICATION_MESSAGES = {
+  MISLEADING_QUERY:
+    'This question is too ambiguous to answer from your data. Try being more specific.',
+  GENERAL: "This question doesn't look like it's about your data.",
+};
+
+const CANDIDATE_SOURCES = {
+  llm: 'Generated',
+  view: 'Saved view',
+};
+
+export const getSqlCandidates = (result) => {
+  const seen = new Set();
+  return (result?.response || [])
+    .filter((candidate) => {
+      const sql = candidate?.sql?.trim();
+      if (!sql || seen.has(sql)) {
+        return false;
+      }
+      seen.add(sql);
+      return true;
+    })
+    .map((candidate, index) => ({
+      id: `candidate-${index}`,
+      sql: candidate.sql,
+      source: CANDIDATE_SOURCES[candidate.type] || CANDIDATE_SOURCES.llm,
+    }));
+};
+
+export const getClarification = (result, question) => {
+  const kind = [result?.general_type, result?.type].find(
+    (value) => value && CLARIFICATION_MESSAGES[value],
+  );
+  if (!kind) {
+    return null;
+  }
+  const suggestions = [result?.rephrased_question, ...(result?.suggested_questions || [])]
+    .map((value) => value?.trim())
+    .filter(
+      (value, index, list) =>
+        value && value !== question && list.indexOf(value) === index,
+    );
+  return {
+    kind,
+    message: result?.intent_reasoning || CLARIFICATION_MESSAGES[kind],
+    suggestions,
+  };
+};
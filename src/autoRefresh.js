@@ -0,0 +1,19 @@
+// The AI service has no endpoint that only re-runs SQL, so refreshing a
+// pinned chart goes through `POST /v1/charts`: one LLM generation per chart,
+// of which only the data is kept. Auto-refresh repeats that for every chart
+// on each tick, so it only offers long intervals and is confirmed first.
+const HOUR_MS = 60 * 60_000;
+
+export const AUTO_REFRESH_INTERVALS = [
+  { value: 0, label: 'Auto-refresh off' },
+  { value: HOUR_MS, label: 'Every hour' },
+  { value: 6 * HOUR_MS, label: 'Every 6 hours' },
+  { value: 24 * HOUR_MS, label: 'Every day' },
+];
+
+// Intervals saved before the short ones were removed turn auto-refresh off.
+export const normalizeRefreshInterval = (value) =>
+  AUTO_REFRESH_INTERVALS.some((option) => option.value === value) ? value : 0;
+
+export const getDailyRefreshCalls = (chartCount, refreshIntervalMs) =>
+  refreshIntervalMs ? Math.round((24 * HOUR_MS) / refreshIntervalMs) * chartCount : 0;
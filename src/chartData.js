@@ -0,0 +1,260 @@
+import { getChartThemeConfig } from './chartTheme.js';
+
+export const parseSpec = (input) => {
+  if (!input) {
+    return null;
+  }
+  if (typeof input === 'string') {
+    try {
+      return JSON.parse(input);
+    } catch {
+      return null;
+    }
+  }
+  return typeof input === 'object' ? input : null;
+};
+
+// Theme values win over whatever config the generated spec carries, one level
+// deep so unrelated keys (e.g. axis label limits) survive.
+const mergeConfig = (config = {}, overrides = {}) => {
+  const merged = { ...config };
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] =
+      value && typeof value === 'object' && !Array.isArray(value)
+        ? { ...(config[key] || {}), ...value }
+        : value;
+  });
+  return merged;
+};
+
+const withChartTheme = (spec, options) => {
+  if (!options.theme) {
+    return spec;
+  }
+  const themed = {
+    ...spec,
+    config: mergeConfig(spec.config, getChartThemeConfig(options.theme, options.palette)),
+  };
+  delete themed.background;
+  return themed;
+};
+
+export const normalizeSpec = (input, options = {}) => {
+  const parsed = parseSpec(input);
+  if (!parsed) {
+    return null;
+  }
+
+  const schema = typeof parsed.$schema === 'string' ? parsed.$schema : '';
+  const isVegaLite = schema.includes('vega-lite');
+  const isVega = schema.includes('vega') && !isVegaLite;
+  const hasVegaLiteMarks =
+    parsed.mark ||
+    parsed.layer ||
+    parsed.facet ||
+    parsed.hconcat ||
+    parsed.vconcat ||
+    parsed.concat ||
+    parsed.repeat;
+
+  if (!isVega && !isVegaLite && !hasVegaLiteMarks) {
+    return null;
+  }
+
+  if (isVegaLite || hasVegaLiteMarks) {
+    const themed = withChartTheme(parsed, options);
+    const specToRender = {
+      ...themed,
+      config: {
+        ...(themed.config || {}),
+        mark: {
+          ...(themed.config?.mark || {}),
+          tooltip: true,
+        },
+      },
+    };
+    if (specToRender.title) {
+      delete specToRender.title;
+    }
+    // Only unit and layer specs can size themselves to their container.
+    if (options.fit && (parsed.mark || parsed.layer)) {
+      specToRender.width = 'container';
+      specToRender.height = 'container';
+      specToRender.autosize = { type: 'fit', contains: 'padding' };
+    }
+    return { spec: specToRender, mode: 'vega-lite' };
+  }
+
+  const vegaSpec = withChartTheme({ ...parsed }, options);
+  if (vegaSpec.title) {
+    delete vegaSpec.title;
+  }
+  return { spec: vegaSpec, mode: 'vega' };
+};
+
+const findInlineValues = (spec) => {
+  if (!spec || typeof spec !== 'object') {
+    return null;
+  }
+
+  // Vega specs keep their datasets in a `data` array.
+  if (Array.isArray(spec.data)) {
+    const dataset = spec.data.find((item) => Array.isArray(item?.values));
+    return dataset ? dataset.values : null;
+  }
+
+  if (Array.isArray(spec.data?.values)) {
+    return spec.data.values;
+  }
+
+  if (spec.data?.name && Array.isArray(spec.datasets?.[spec.data.name])) {
+    return spec.datasets[spec.data.name];
+  }
+
+  for (const key of ['layer', 'concat', 'hconcat', 'vconcat']) {
+    if (Array.isArray(spec[key])) {
+      for (const child of spec[key]) {
+        const values = findInlineValues(child);
+        if (values) {
+          return values;
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+// Mirrors findInlineValues: returns a copy of the spec with the first inline
+// dataset swapped for `values`, or null when the spec carries no inline data.
+const replaceInlineValues = (spec, values) => {
+  if (!spec || typeof spec !== 'object') {
+    return null;
+  }
+
+  if (Array.isArray(spec.data)) {
+    const index = spec.data.findIndex((item) => Array.isArray(item?.values));
+    if (index === -1) {
+      return null;
+    }
+    const data = [...spec.data];
+    data[index] = { ...data[index], values };
+    return { ...spec, data };
+  }
+
+  if (Array.isArray(spec.data?.values)) {
+    return { ...spec, data: { ...spec.data, values } };
+  }
+
+  if (spec.data?.name && Array.isArray(spec.datasets?.[spec.data.name])) {
+    return { ...spec, datasets: { ...spec.datasets, [spec.data.name]: values } };
+  }
+
+  for (const key of ['layer', 'concat', 'hconcat', 'vconcat']) {
+    if (Array.isArray(spec[key])) {
+      for (const [index, child] of spec[key].entries()) {
+        const replaced = replaceInlineValues(child, values);
+        if (replaced) {
+          const children = [...spec[key]];
+          children[index] = replaced;
+          return { ...spec, [key]: children };
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+export const hasInlineData = (input) =>
+  Array.isArray(findInlineValues(parseSpec(input)));
+
+export const replaceChartRows = (input, rows) => {
+  const replaced = replaceInlineValues(parseSpec(input), rows);
+  if (!replaced) {
+    throw new Error('This chart has no embedded data to refresh.');
+  }
+  return typeof input === 'string' ? JSON.stringify(replaced) : replaced;
+};
+
+export const getChartRows = (input) => {
+  const values = findInlineValues(parseSpec(input));
+  if (!Array.isArray(values)) {
+    return [];
+  }
+  return values.filter((row) => row && typeof row === 'object');
+};
+
+// `a.b` and `a[0]` read nested values; only the top-level column matters here.
+const toColumnName = (field) => field.split(/(?<!\\)[.[]/)[0].replace(/\\(.)/g, '$1');
+
+const collectDerivedFields = (value, derived) => {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectDerivedFields(item, derived));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      if (key === 'as') {
+        [].concat(item).forEach((name) => typeof name === 'string' && derived.add(name));
+      } else {
+        collectDerivedFields(item, derived);
+      }
+    });
+  }
+};
+
+const collectEncodingFields = (spec, fields, derived) => {
+  if (!spec || typeof spec !== 'object') {
+    return;
+  }
+  Object.values(spec.encoding || {}).forEach((def) => {
+    [].concat(def).forEach((item) => {
+      if (typeof item?.field === 'string') {
+        fields.add(toColumnName(item.field));
+      }
+    });
+  });
+  collectDerivedFields(spec.transform, derived);
+  for (const key of ['layer', 'concat', 'hconcat', 'vconcat']) {
+    if (Array.isArray(spec[key])) {
+      spec[key].forEach((child) => collectEncodingFields(child, fields, derived));
+    }
+  }
+  collectEncodingFields(spec.spec, fields, derived);
+};
+
+// Data columns a Vega-Lite spec encodes, leaving out fields its own transforms
+// compute. Vega specs have no encodings and return an empty list.
+export const getEncodingFields = (input) => {
+  const fields = new Set();
+  const derived = new Set();
+  collectEncodingFields(parseSpec(input), fields, derived);
+  return [...fields].filter((field) => !derived.has(field));
+};
+
+export const getColumns = (rows) => {
+  const columns = [];
+  const seen = new Set();
+  rows.forEach((row) => {
+    Object.keys(row).forEach((key) => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    });
+  });
+  return columns;
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const rowsToCsv = (rows, columns = getColumns(rows)) =>
+  [
+    columns.map(escapeCsvValue).join(','),
+    ...rows.map((row) => columns.map((column) => escapeCsvValue(row[column])).join(',')),
+  ].join('\r\n');
@@ -0,0 +1,166 @@
+import { getChartRows, getColumns, normalizeSpec, parseSpec } from './chartData.js';
+
+export const EDITABLE_MARKS = ['bar', 'line', 'area', 'point', 'arc'];
+
+export const AGGREGATES = ['none', 'sum', 'mean', 'median', 'min', 'max', 'count'];
+
+const STACKABLE_MARKS = new Set(['bar', 'area']);
+
+const DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?([T ]\d{2}:\d{2})?/;
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const getMarkType = (mark) => (typeof mark === 'string' ? mark : mark?.type);
+
+const isValueDef = (def) =>
+  Boolean(def && (def.aggregate || def.type === 'quantitative'));
+
+const inferCategoryType = (rows, field) => {
+  const sample = rows.map((row) => row[field]).find((value) => value != null);
+  return typeof sample === 'string' && DATE_PATTERN.test(sample) ? 'temporal' : 'nominal';
+};
+
+export const isStackable = (mark) => STACKABLE_MARKS.has(mark);
+
+// Grouped bars need a discrete category axis: Vega-Lite drops xOffset/yOffset
+// on a continuous one, which would draw the series on top of each other. Dates
+// become ordinal per day (in UTC for date-only strings, which parse as UTC
+// midnight), numbers plain ordinal.
+const toDiscreteCategory = (categoryDef, rows) => {
+  if (categoryDef.type === 'temporal') {
+    const sample = rows.map((row) => row[categoryDef.field]).find((value) => value != null);
+    const timeUnit =
+      categoryDef.timeUnit ||
+      (typeof sample === 'string' && DATE_ONLY_PATTERN.test(sample)
+        ? 'utcyearmonthdate'
+        : 'yearmonthdate');
+    return { ...categoryDef, type: 'ordinal', timeUnit };
+  }
+  if (categoryDef.type === 'quantitative') {
+    return { ...categoryDef, type: 'ordinal' };
+  }
+  return categoryDef;
+};
+
+// Reads a unit Vega-Lite spec into the handful of settings the editor exposes.
+// Anything else (layers, facets, raw Vega) returns null and isn't editable.
+export const getEditorState = (input) => {
+  const normalized = normalizeSpec(input);
+  const spec = normalized?.spec;
+  const mark = getMarkType(spec?.mark);
+  if (normalized?.mode !== 'vega-lite' || !EDITABLE_MARKS.includes(mark)) {
+    return null;
+  }
+
+  const encoding = spec.encoding || {};
+  let category;
+  let value;
+  let horizontal = false;
+  if (mark === 'arc') {
+    category = encoding.color;
+    value = encoding.theta;
+  } else if (!isValueDef(encoding.y) && isValueDef(encoding.x)) {
+    category = encoding.y;
+    value = encoding.x;
+    horizontal = true;
+  } else {
+    category = encoding.x;
+    value = encoding.y;
+  }
+  if (!category?.field || !value) {
+    return null;
+  }
+
+  const series =
+    mark !== 'arc' && encoding.color?.field !== category.field
+      ? encoding.color?.field || ''
+      : '';
+  const { stack, aggregate, ...valueDef } = value;
+
+  return {
+    mark,
+    category,
+    value: valueDef,
+    aggregate: aggregate || 'none',
+    series,
+    horizontal,
+    stacked: stack !== null && stack !== false,
+  };
+};
+
+export const getEditorFields = (input, state) => {
+  const fields = getColumns(getChartRows(input));
+  [state?.category?.field, state?.value?.field, state?.series].forEach((field) => {
+    if (field && !fields.includes(field)) {
+      fields.push(field);
+    }
+  });
+  return fields;
+};
+
+export const setCategoryField = (input, state, field) => ({
+  ...state,
+  category: {
+    field,
+    type: inferCategoryType(getChartRows(input), field),
+  },
+});
+
+export const setValueField = (state, field) => ({
+  ...state,
+  value: { field, type: 'quantitative' },
+});
+
+// Writes the editor settings back into the spec, keeping its data, title,
+// config and tooltip. The result has the same shape (string or object) as
+// the input, like replaceChartRows.
+export const applyEditorState = (input, state) => {
+  const parsed = parseSpec(input);
+  const previous = parsed.encoding || {};
+
+  const valueDef =
+    state.aggregate === 'count'
+      ? { aggregate: 'count', type: 'quantitative', title: 'Count' }
+      : {
+          ...state.value,
+          type: 'quantitative',
+          ...(state.aggregate === 'none' ? {} : { aggregate: state.aggregate }),
+        };
+  const categoryDef = { type: 'nominal', ...state.category };
+
+  let encoding;
+  if (state.mark === 'arc') {
+    encoding = { theta: { ...valueDef, stack: true }, color: categoryDef };
+  } else {
+    const [categoryChannel, valueChannel] = state.horizontal ? ['y', 'x'] : ['x', 'y'];
+    const stackable = isStackable(state.mark) && state.series;
+    const grouped = state.mark === 'bar' && state.series && !state.stacked;
+    encoding = {
+      [categoryChannel]: grouped
+        ? toDiscreteCategory(categoryDef, getChartRows(parsed))
+        : categoryDef,
+      [valueChannel]: stackable
+        ? { ...valueDef, stack: state.stacked ? 'zero' : null }
+        : valueDef,
+    };
+    if (state.series) {
+      encoding.color = { field: state.series, type: 'nominal' };
+      if (grouped) {
+        encoding[`${categoryChannel}Offset`] = { field: state.series };
+      }
+    }
+  }
+  if (previous.tooltip) {
+    encoding.tooltip = previous.tooltip;
+  }
+
+  const edited = {
+    ...parsed,
+    mark:
+      typeof parsed.mark === 'object'
+        ? { ...parsed.mark, type: state.mark }
+        : state.mark,
+    encoding,
+  };
+  return typeof input === 'string' ? JSON.stringify(edited) : edited;
+};
@@ -0,0 +1,91 @@
+import { View, parse } from 'vega';
+import { compile } from 'vega-lite';
+import { normalizeSpec } from './chartData.js';
+import { downloadBlob, downloadText, toFileName } from './download.js';
+import { createZip } from './zip.js';
+
+export const PNG_SCALES = [1, 2, 3];
+
+const dataUrlToBytes = (dataUrl) => {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const requireNormalizedSpec = (spec, options) => {
+  const normalized = normalizeSpec(spec, options);
+  if (!normalized) {
+    throw new Error('Invalid chart specification.');
+  }
+  return normalized;
+};
+
+// Charts that are not on screen (e.g. the Data tab is open, or we are zipping a
+// whole dashboard) are rendered through a headless Vega view instead.
+const withView = async (spec, view, render, options) => {
+  if (view) {
+    return render(view);
+  }
+  const normalized = requireNormalizedSpec(spec, options);
+  const vegaSpec =
+    normalized.mode === 'vega-lite' ? compile(normalized.spec).spec : normalized.spec;
+  const headless = new View(parse(vegaSpec), { renderer: 'none' });
+  try {
+    await headless.runAsync();
+    return await render(headless);
+  } finally {
+    headless.finalize();
+  }
+};
+
+export const renderPng = (spec, scale = 1, view = null, options = {}) =>
+  withView(spec, view, (target) => target.toImageURL('png', scale), options);
+
+export const renderSvg = (spec, view = null, options = {}) =>
+  withView(spec, view, (target) => target.toSVG(), options);
+
+export const getExportSpec = (spec, options = {}) =>
+  JSON.stringify(requireNormalizedSpec(spec, options).spec, null, 2);
+
+export const exportPng = async (spec, title, scale, view, options) => {
+  const url = await renderPng(spec, scale, view, options);
+  downloadBlob(
+    new Blob([dataUrlToBytes(url)], { type: 'image/png' }),
+    `${toFileName(title)}${scale > 1 ? `@${scale}x` : ''}.png`,
+  );
+};
+
+export const exportSvg = async (spec, title, view, options) => {
+  downloadText(
+    await renderSvg(spec, view, options),
+    `${toFileName(title)}.svg`,
+    'image/svg+xml',
+  );
+};
+
+export const exportSpec = (spec, title, options) => {
+  downloadText(
+    getExportSpec(spec, options),
+    `${toFileName(title)}-spec.json`,
+    'application/json',
+  );
+};
+
+export const exportChartsZip = async (charts, fileName, scale = 2, options = {}) => {
+  const files = [];
+  for (const [index, chart] of charts.entries()) {
+    const prefix = `${String(index + 1).padStart(2, '0')}-${toFileName(chart.title)}`;
+    files.push(
+      {
+        name: `${prefix}.png`,
+        data: dataUrlToBytes(await renderPng(chart.spec, scale, null, options)),
+      },
+      { name: `${prefix}.svg`, data: await renderSvg(chart.spec, null, options) },
+      { name: `${prefix}-spec.json`, data: getExportSpec(chart.spec, options) },
+    );
+  }
+  downloadBlob(createZip(files), `${toFileName(fileName, 'dashboard')}.zip`);
+};
@@ -0,0 +1,81 @@
+// Vega config injected by normalizeSpec so charts follow the app theme. The
+// same keys work for Vega and Vega-Lite specs.
+const THEME_COLORS = {
+  light: {
+    background: '#ffffff',
+    text: '#1f1b16',
+    muted: '#6b655c',
+    grid: 'rgba(31, 27, 22, 0.1)',
+    domain: 'rgba(31, 27, 22, 0.35)',
+  },
+  dark: {
+    background: '#1d1b18',
+    text: '#ece8e1',
+    muted: '#a39d93',
+    grid: 'rgba(236, 232, 225, 0.12)',
+    domain: 'rgba(236, 232, 225, 0.35)',
+  },
+};
+
+export const CHART_PALETTES = [
+  {
+    id: 'default',
+    label: 'Default',
+    colors: [
+      '#0f766e', '#f59e0b', '#6366f1', '#e11d48', '#0ea5e9',
+      '#84cc16', '#a855f7', '#f97316', '#14b8a6', '#64748b',
+    ],
+  },
+  {
+    id: 'tableau',
+    label: 'Tableau',
+    colors: [
+      '#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f',
+      '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#bab0ac',
+    ],
+  },
+  {
+    id: 'pastel',
+    label: 'Pastel',
+    colors: [
+      '#8dd3c7', '#fdb462', '#bebada', '#fb8072', '#80b1d3',
+      '#b3de69', '#fccde5', '#ffffb3', '#bc80bd', '#d9d9d9',
+    ],
+  },
+  {
+    id: 'bold',
+    label: 'Bold',
+    colors: [
+      '#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e',
+      '#e6ab02', '#a6761d', '#666666', '#377eb8', '#e41a1c',
+    ],
+  },
+];
+
+export const getPaletteColors = (paletteId) =>
+  (CHART_PALETTES.find((palette) => palette.id === paletteId) || CHART_PALETTES[0])
+    .colors;
+
+export const getChartThemeConfig = (theme, paletteId) => {
+  const colors = THEME_COLORS[theme] || THEME_COLORS.light;
+  const palette = getPaletteColors(paletteId);
+  const guide = {
+    labelColor: colors.muted,
+    titleColor: colors.text,
+  };
+  return {
+    background: colors.background,
+    view: { stroke: colors.grid },
+    axis: {
+      ...guide,
+      gridColor: colors.grid,
+      domainColor: colors.domain,
+      tickColor: colors.domain,
+    },
+    legend: guide,
+    header: guide,
+    title: { color: colors.text, subtitleColor: colors.muted },
+    range: { category: palette },
+    mark: { color: palette[0] },
+  };
+};
@@ -0,0 +1,71 @@
+export const createId = () =>
+  crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+export const getChartVersions = (chart) => {
+  if (!chart) {
+    return [];
+  }
+  if (Array.isArray(chart.versions) && chart.versions.length) {
+    return chart.versions;
+  }
+  return [
+    {
+      id: chart.id,
+      source: 'ask',
+      sql: chart.sql,
+      spec: chart.spec,
+      title: chart.title,
+      createdAt: chart.createdAt,
+    },
+  ];
+};
+
+export const getVersionIndex = (chart) => {
+  const versions = getChartVersions(chart);
+  const index = Number.isInteger(chart?.versionIndex)
+    ? chart.versionIndex
+    : versions.length - 1;
+  return Math.min(Math.max(index, 0), versions.length - 1);
+};
+
+export const selectChartVersion = (chart, index) => {
+  const versions = getChartVersions(chart);
+  const version = versions[index];
+  if (!version) {
+    return chart;
+  }
+  return {
+    ...chart,
+    versions,
+    versionIndex: index,
+    sql: version.sql,
+    spec: version.spec,
+    title: version.title || chart.title,
+    refreshedAt: version.refreshedAt || version.createdAt,
+  };
+};
+
+export const appendChartVersion = (chart, version) => {
+  const versions = [
+    ...getChartVersions(chart),
+    {
+      id: createId(),
+      createdAt: new Date().toISOString(),
+      ...version,
+    },
+  ];
+  return selectChartVersion({ ...chart, versions }, versions.length - 1);
+};
+
+export const updateCurrentVersion = (chart, patch) => {
+  const versions = getChartVersions(chart);
+  const index = getVersionIndex(chart);
+  return {
+    ...chart,
+    ...patch,
+    versions: versions.map((version, position) =>
+      position === index ? { ...version, ...patch } : version,
+    ),
+    versionIndex: index,
+  };
+};
@@ -0,0 +1,98 @@
+import { createId } from './chartVersions.js';
+
+// Connection profiles describe an AI service deployment. The build-time env
+// variables seed the default profile; everything else is edited in Settings
+// and saved with the workspace records.
+export const DEFAULT_CONNECTION_ID = 'default';
+
+const DEFAULT_ASK_TIMEOUT_MS = 180_000;
+const DEFAULT_CHART_TIMEOUT_MS = 180_000;
+const DEFAULT_API_KEY_HEADER = 'X-API-Key';
+
+export const AUTH_TYPES = [
+  { id: 'none', label: 'None' },
+  { id: 'bearer', label: 'Bearer token' },
+  { id: 'apiKey', label: 'API key header' },
+];
+
+const trimBaseUrl = (value) => (value || '').trim().replace(/\/$/, '');
+
+export const createConnection = (overrides = {}) => ({
+  id: createId(),
+  name: 'New connection',
+  baseUrl: '',
+  mdlHash: '',
+  mdl: '',
+  language: 'English',
+  authType: 'none',
+  authHeaderName: DEFAULT_API_KEY_HEADER,
+  authToken: '',
+  askTimeoutMs: DEFAULT_ASK_TIMEOUT_MS,
+  chartTimeoutMs: DEFAULT_CHART_TIMEOUT_MS,
+  demo: false,
+  ...overrides,
+});
+
+export const getDefaultConnection = () =>
+  createConnection({
+    id: DEFAULT_CONNECTION_ID,
+    name: 'Default',
+    baseUrl: trimBaseUrl(import.meta.env.VITE_API_BASE),
+    mdlHash: import.meta.env.VITE_MDL_HASH || 'string',
+    mdl: import.meta.env.VITE_MDL || '',
+    language: import.meta.env.VITE_LANGUAGE || 'English',
+    demo: import.meta.env.VITE_DEMO_MODE === 'true',
+  });
+
+const toTimeout = (value, fallback) =>
+  Number.isFinite(value) && value > 0 ? value : fallback;
+
+export const normalizeConnection = (connection) => {
+  const base = createConnection();
+  return {
+    ...base,
+    ...connection,
+    id: connection?.id || base.id,
+    name: connection?.name?.trim() || 'Untitled connection',
+    baseUrl: trimBaseUrl(connection?.baseUrl),
+    askTimeoutMs: toTimeout(connection?.askTimeoutMs, DEFAULT_ASK_TIMEOUT_MS),
+    chartTimeoutMs: toTimeout(connection?.chartTimeoutMs, DEFAULT_CHART_TIMEOUT_MS),
+    authType: AUTH_TYPES.some((type) => type.id === connection?.authType)
+      ? connection.authType
+      : 'none',
+    authHeaderName: connection?.authHeaderName?.trim() || DEFAULT_API_KEY_HEADER,
+    demo: Boolean(connection?.demo),
+  };
+};
+
+// Stored as `{ profiles, activeId }`; falls back to the env-based default.
+export const normalizeConnections = (stored) => {
+  const profiles = Array.isArray(stored?.profiles)
+    ? stored.profiles.map(normalizeConnection)
+    : [];
+  if (!profiles.length) {
+    profiles.push(getDefaultConnection());
+  }
+  const activeId = profiles.some((profile) => profile.id === stored?.activeId)
+    ? stored.activeId
+    : profiles[0].id;
+  return { profiles, activeId };
+};
+
+export const findConnection = (connections, connectionId) =>
+  connections.profiles.find((profile) => profile.id === connectionId) ||
+  connections.profiles.find((profile) => profile.id === connections.activeId) ||
+  connections.profiles[0];
+
+export const getAuthHeaders = (connection) => {
+  if (!connection.authToken) {
+    return {};
+  }
+  if (connection.authType === 'bearer') {
+    return { Authorization: `Bearer ${connection.authToken}` };
+  }
+  if (connection.authType === 'apiKey') {
+    return { [connection.authHeaderName]: connection.authToken };
+  }
+  return {};
+};
@@ -0,0 +1,91 @@
+import { getChartRows, getColumns } from './chartData.js';
+import { getEditorState } from './chartEncoding.js';
+
+// Selection params added to pinned Vega-Lite charts. Clicking a mark selects
+// its category; clicking a legend entry selects its series.
+const POINT_PARAM = 'crossfilter_point';
+const LEGEND_PARAM = 'crossfilter_legend';
+
+const DIMMED_OPACITY = 0.3;
+
+const isDiscrete = (def) => def?.type === 'nominal' || def?.type === 'ordinal';
+
+const getSelectionFields = (spec) => {
+  const state = getEditorState(spec);
+  if (!state) {
+    return {};
+  }
+  const fields = {};
+  if (isDiscrete(state.category)) {
+    fields[POINT_PARAM] = state.category.field;
+    if (state.mark === 'arc') {
+      fields[LEGEND_PARAM] = state.category.field;
+    }
+  }
+  if (state.series && isDiscrete(spec.encoding?.color)) {
+    fields[LEGEND_PARAM] = state.series;
+  }
+  return fields;
+};
+
+const toPredicate = (filter) => ({ field: filter.field, oneOf: filter.values });
+
+// `filters` are the dashboard's active filters, each flagged `own` when this
+// chart is the one that set it. Other charts' filters are applied as data
+// transforms (only when this chart has the field); its own are shown by
+// dimming the unselected marks. Returns the updated normalized spec and the
+// selection params to listen to, keyed by param name.
+export const applyCrossFilters = (normalized, filters) => {
+  if (normalized.mode !== 'vega-lite') {
+    return { normalized, selections: {} };
+  }
+
+  let { spec } = normalized;
+  const columns = new Set(getColumns(getChartRows(spec)));
+  const external = filters.filter((filter) => !filter.own && columns.has(filter.field));
+  const own = filters.filter((filter) => filter.own);
+
+  if (external.length) {
+    spec = {
+      ...spec,
+      transform: [
+        ...external.map((filter) => ({ filter: toPredicate(filter) })),
+        ...(spec.transform || []),
+      ],
+    };
+  }
+
+  const selections = spec.mark ? getSelectionFields(spec) : {};
+  const params = Object.entries(selections).map(([name, field]) => ({
+    name,
+    select: { type: 'point', fields: [field] },
+    ...(name === LEGEND_PARAM ? { bind: 'legend' } : {}),
+  }));
+  if (params.length) {
+    spec = { ...spec, params: [...(spec.params || []), ...params] };
+  }
+  if (own.length && spec.encoding && !spec.encoding.opacity) {
+    spec = {
+      ...spec,
+      encoding: {
+        ...spec.encoding,
+        opacity: {
+          condition: { test: { and: own.map(toPredicate) }, value: 1 },
+          value: DIMMED_OPACITY,
+        },
+      },
+    };
+  }
+
+  return { normalized: { ...normalized, spec }, selections };
+};
+
+// Point selection signals hold `{ [field]: values }`, or an empty object once
+// the selection is cleared.
+export const getSelectedValues = (signalValue, field) => {
+  const values = signalValue?.[field];
+  if (values === undefined || values === null) {
+    return [];
+  }
+  return Array.isArray(values) ? values : [values];
+};
@@ -0,0 +1,123 @@
+import { getChartRows, getColumns, normalizeSpec } from './chartData.js';
+
+// Global filters are saved on the dashboard as
+// `{ dateField, from, to, categories: { [field]: values } }` and applied to
+// every pinned Vega-Lite chart whose data has the field.
+export const EMPTY_DASHBOARD_FILTERS = { dateField: '', from: '', to: '', categories: {} };
+
+const MAX_CATEGORY_VALUES = 50;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const isDateValue = (value) => typeof value === 'string' && DATE_PATTERN.test(value);
+
+export const getDashboardFilters = (dashboard) => ({
+  ...EMPTY_DASHBOARD_FILTERS,
+  ...(dashboard?.filters || {}),
+  categories: { ...(dashboard?.filters?.categories || {}) },
+});
+
+export const getChartColumns = (chart) => new Set(getColumns(getChartRows(chart.spec)));
+
+// Only columns that more than one chart shares are offered, unless the
+// dashboard has a single chart.
+export const getFilterOptions = (charts) => {
+  const rowsByChart = charts.map((chart) => getChartRows(chart.spec));
+  const counts = new Map();
+  rowsByChart.forEach((rows) => {
+    getColumns(rows).forEach((column) => {
+      counts.set(column, (counts.get(column) || 0) + 1);
+    });
+  });
+  const minCharts = charts.length > 1 ? 2 : 1;
+
+  const dateFields = [];
+  const categoryFields = [];
+  counts.forEach((count, field) => {
+    if (count < minCharts) {
+      return;
+    }
+    const values = rowsByChart
+      .flatMap((rows) => rows.map((row) => row[field]))
+      .filter((value) => value !== null && value !== undefined);
+    if (!values.length) {
+      return;
+    }
+    if (values.every(isDateValue)) {
+      dateFields.push(field);
+      return;
+    }
+    if (values.every((value) => typeof value === 'string')) {
+      const distinct = [...new Set(values)].sort((a, b) =>
+        a.localeCompare(b, undefined, { numeric: true }),
+      );
+      if (distinct.length <= MAX_CATEGORY_VALUES) {
+        categoryFields.push({ field, values: distinct });
+      }
+    }
+  });
+
+  return { dateFields, categoryFields };
+};
+
+const getActiveCategories = (filters) =>
+  Object.entries(filters.categories).filter(([, values]) => values?.length);
+
+const hasDateRange = (filters) => Boolean(filters.dateField && (filters.from || filters.to));
+
+export const getFilteredFields = (filters) => [
+  ...(hasDateRange(filters) ? [filters.dateField] : []),
+  ...getActiveCategories(filters).map(([field]) => field),
+];
+
+// Compares calendar days as `YYYY-MM-DD` text. Strings are cut to their date
+// prefix. Vega-Lite has already parsed fields encoded as temporal into times:
+// date-only strings land on UTC midnight and are read in UTC (local time would
+// move them a day back behind UTC), other timestamps are read in local time.
+// Vega-Lite's own timeUnit filters ignore `utc`, hence the expression.
+const toDateRangeExpression = ({ dateField, from, to }) => {
+  const value = `datum[${JSON.stringify(dateField)}]`;
+  const isUtcMidnight = ['utchours', 'utcminutes', 'utcseconds', 'utcmilliseconds']
+    .map((part) => `!${part}(${value})`)
+    .join(' && ');
+  const day =
+    `(isString(${value}) ? substring(${value}, 0, 10)` +
+    ` : ${isUtcMidnight} ? utcFormat(${value}, '%Y-%m-%d')` +
+    ` : timeFormat(${value}, '%Y-%m-%d'))`;
+  return [
+    `isValid(${value})`,
+    ...(from ? [`${day} >= ${JSON.stringify(from)}`] : []),
+    ...(to ? [`${day} <= ${JSON.stringify(to)}`] : []),
+  ].join(' && ');
+};
+
+export const getFilterTransforms = (filters, columns) => {
+  const transforms = [];
+  if (hasDateRange(filters) && columns.has(filters.dateField)) {
+    transforms.push({ filter: toDateRangeExpression(filters) });
+  }
+  getActiveCategories(filters).forEach(([field, values]) => {
+    if (columns.has(field)) {
+      transforms.push({ filter: { field, oneOf: values } });
+    }
+  });
+  return transforms;
+};
+
+// Raw Vega specs can't take the injected transforms, so they count as
+// unaffected even when they carry the field.
+export const getChartFilterTransforms = (chart, filters, columns) =>
+  normalizeSpec(chart.spec)?.mode === 'vega-lite'
+    ? getFilterTransforms(filters, columns)
+    : [];
+
+export const withFilterTransforms = (normalized, transforms) =>
+  normalized.mode === 'vega-lite' && transforms.length
+    ? {
+        ...normalized,
+        spec: {
+          ...normalized.spec,
+          transform: [...transforms, ...(normalized.spec.transform || [])],
+        },
+      }
+    : normalized;
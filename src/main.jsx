@@ -1,8 +1,11 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App.jsx';
+import { applyTheme, loadThemeMode, resolveTheme } from './theme.js';
 import './styles.css';
 
+applyTheme(resolveTheme(loadThemeMode()));
+
 const root = createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
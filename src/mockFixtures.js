@@ -0,0 +1,240 @@
+// Sample answers for demo mode, modelled on an e-commerce semantic layer.
+// Each fixture is matched by keywords in the question and returns the SQL and
+// Vega-Lite chart the AI service would produce.
+const SCHEMA = 'https://vega.github.io/schema/vega-lite/v5.json';
+
+const MONTHS = Array.from(
+  { length: 12 },
+  (_, index) => `2024-${String(index + 1).padStart(2, '0')}-01`,
+);
+
+const MONTHLY_REVENUE = [
+  182340, 175210, 201880, 214560, 228930, 219470, 236110, 248720, 241390, 263850, 301240,
+  342610,
+];
+
+const CATEGORY_REVENUE = [
+  ['Electronics', 812430],
+  ['Home & Garden', 534210],
+  ['Fashion', 471880],
+  ['Sports', 298540],
+  ['Beauty', 241170],
+  ['Toys', 187620],
+  ['Books', 92330],
+];
+
+const ORDER_STATUSES = [
+  ['delivered', 9412],
+  ['shipped', 1187],
+  ['processing', 436],
+  ['canceled', 268],
+  ['returned', 197],
+];
+
+const TOP_CUSTOMERS = [
+  ['Northwind Traders', 48210],
+  ['Contoso Retail', 41980],
+  ['Fabrikam Outlet', 37650],
+  ['Tailspin Goods', 33120],
+  ['Adventure Works', 30470],
+  ['Wide World Importers', 28890],
+  ['Litware Supply', 25340],
+  ['Proseware Market', 22760],
+  ['Coho Home', 21110],
+  ['Lucerne Direct', 19820],
+];
+
+const PAYMENT_TYPES = [
+  ['credit_card', 0.72],
+  ['voucher', 0.09],
+  ['debit_card', 0.05],
+  ['boleto', 0.14],
+];
+
+const MONTHLY_ORDERS = [
+  812, 774, 905, 962, 1018, 981, 1047, 1102, 1069, 1163, 1338, 1521,
+];
+
+const DELIVERY_DAYS = [
+  ['SP', 8.3],
+  ['RJ', 14.8],
+  ['MG', 11.5],
+  ['RS', 14.8],
+  ['PR', 11.5],
+  ['SC', 14.5],
+  ['BA', 18.9],
+  ['GO', 15.2],
+];
+
+const spec = (title, mark, encoding, values) => ({
+  $schema: SCHEMA,
+  title,
+  mark,
+  encoding,
+  data: { values },
+});
+
+export const MOCK_FIXTURES = [
+  {
+    id: 'monthly-revenue',
+    question: 'What was our monthly revenue in 2024?',
+    keywords: ['revenue', 'monthly', 'month', 'trend', 'over time', 'sales'],
+    reasoning:
+      'The user wants total revenue per month. Sum order payments and group by the month of the purchase date.',
+    sql: `SELECT DATE_TRUNC('month', o.purchased_at) AS month,
+       SUM(p.payment_value) AS revenue
+FROM orders o
+JOIN payments p ON p.order_id = o.order_id
+WHERE o.purchased_at >= DATE '2024-01-01' AND o.purchased_at < DATE '2025-01-01'
+GROUP BY 1
+ORDER BY 1`,
+    chart: spec(
+      'Monthly revenue, 2024',
+      { type: 'line', point: true },
+      {
+        x: { field: 'month', type: 'temporal', title: 'Month', timeUnit: 'yearmonth' },
+        y: { field: 'revenue', type: 'quantitative', title: 'Revenue' },
+      },
+      MONTHS.map((month, index) => ({ month, revenue: MONTHLY_REVENUE[index] })),
+    ),
+  },
+  {
+    id: 'category-revenue',
+    question: 'Which product categories bring in the most revenue?',
+    keywords: ['category', 'categories', 'product', 'revenue'],
+    reasoning:
+      'Revenue should be attributed to the category of each ordered item, then ranked from highest to lowest.',
+    sql: `SELECT pr.category,
+       SUM(oi.price) AS revenue
+FROM order_items oi
+JOIN products pr ON pr.product_id = oi.product_id
+GROUP BY pr.category
+ORDER BY revenue DESC`,
+    alternateSql: `SELECT category, revenue
+FROM category_revenue_view
+ORDER BY revenue DESC`,
+    chart: spec(
+      'Revenue by product category',
+      { type: 'bar' },
+      {
+        x: { field: 'category', type: 'nominal', title: 'Category', sort: '-y' },
+        y: { field: 'revenue', type: 'quantitative', title: 'Revenue' },
+      },
+      CATEGORY_REVENUE.map(([category, revenue]) => ({ category, revenue })),
+    ),
+  },
+  {
+    id: 'order-status',
+    question: 'How are orders split by status?',
+    keywords: ['status', 'statuses', 'canceled', 'returned', 'delivered'],
+    reasoning: 'Count orders by their current status to show the share of each.',
+    sql: `SELECT order_status AS status,
+       COUNT(*) AS orders
+FROM orders
+GROUP BY order_status
+ORDER BY orders DESC`,
+    chart: spec(
+      'Orders by status',
+      { type: 'arc' },
+      {
+        theta: { field: 'orders', type: 'quantitative', title: 'Orders' },
+        color: { field: 'status', type: 'nominal', title: 'Status' },
+      },
+      ORDER_STATUSES.map(([status, orders]) => ({ status, orders })),
+    ),
+  },
+  {
+    id: 'top-customers',
+    question: 'Who are our top 10 customers by spend?',
+    keywords: ['customer', 'customers', 'top', 'spend', 'buyers'],
+    reasoning:
+      'Total payments per customer, keeping the ten customers with the highest spend.',
+    sql: `SELECT c.company_name AS customer,
+       SUM(p.payment_value) AS spend
+FROM customers c
+JOIN orders o ON o.customer_id = c.customer_id
+JOIN payments p ON p.order_id = o.order_id
+GROUP BY c.company_name
+ORDER BY spend DESC
+LIMIT 10`,
+    chart: spec(
+      'Top 10 customers by spend',
+      { type: 'bar' },
+      {
+        y: { field: 'customer', type: 'nominal', title: 'Customer', sort: '-x' },
+        x: { field: 'spend', type: 'quantitative', title: 'Spend' },
+      },
+      TOP_CUSTOMERS.map(([customer, spend]) => ({ customer, spend })),
+    ),
+  },
+  {
+    id: 'payment-types',
+    question: 'How many orders were paid with each payment type per month?',
+    keywords: ['payment', 'payments', 'card', 'voucher', 'boleto'],
+    reasoning:
+      'Count orders per month, broken down by the payment type used for the order.',
+    sql: `SELECT DATE_TRUNC('month', o.purchased_at) AS month,
+       p.payment_type,
+       COUNT(DISTINCT o.order_id) AS orders
+FROM orders o
+JOIN payments p ON p.order_id = o.order_id
+WHERE o.purchased_at >= DATE '2024-01-01' AND o.purchased_at < DATE '2025-01-01'
+GROUP BY 1, 2
+ORDER BY 1, 2`,
+    chart: spec(
+      'Orders by payment type',
+      { type: 'bar' },
+      {
+        x: { field: 'month', type: 'temporal', title: 'Month', timeUnit: 'yearmonth' },
+        y: { field: 'orders', type: 'quantitative', title: 'Orders', stack: 'zero' },
+        color: { field: 'payment_type', type: 'nominal', title: 'Payment type' },
+      },
+      MONTHS.flatMap((month, index) =>
+        PAYMENT_TYPES.map(([paymentType, share]) => ({
+          month,
+          payment_type: paymentType,
+          orders: Math.round(MONTHLY_ORDERS[index] * share),
+        })),
+      ),
+    ),
+  },
+  {
+    id: 'delivery-days',
+    question: 'What is the average delivery time by customer state?',
+    keywords: ['delivery', 'deliveries', 'shipping', 'state', 'states', 'days'],
+    reasoning:
+      'Average the days between purchase and delivery for delivered orders, grouped by the customer state.',
+    sql: `SELECT c.state,
+       AVG(DATE_DIFF('day', o.purchased_at, o.delivered_at)) AS avg_delivery_days
+FROM orders o
+JOIN customers c ON c.customer_id = o.customer_id
+WHERE o.order_status = 'delivered'
+GROUP BY c.state
+ORDER BY avg_delivery_days`,
+    chart: spec(
+      'Average delivery time by state',
+      { type: 'bar' },
+      {
+        x: { field: 'state', type: 'nominal', title: 'State', sort: 'y' },
+        y: {
+          field: 'avg_delivery_days',
+          type: 'quantitative',
+          title: 'Average delivery days',
+        },
+      },
+      DELIVERY_DAYS.map(([state, days]) => ({ state, avg_delivery_days: days })),
+    ),
+  },
+];
+
+// Questions that aren't about the data get a GENERAL answer instead of SQL.
+export const GENERAL_KEYWORDS = ['hello', 'hi', 'hey', 'thanks', 'who are you', 'help'];
+
+// Questions containing these phrases make the demo service fail on purpose, so
+// error handling can be exercised without a backend.
+export const FAILURE_TRIGGERS = {
+  'demo: server error': 'server',
+  'demo: validation error': 'validation',
+  'demo: auth error': 'auth',
+  'demo: job failure': 'job',
+};
@@ -0,0 +1,372 @@
+import { createId } from './chartVersions.js';
+import { parseSpec } from './chartData.js';
+import { FAILURE_TRIGGERS, GENERAL_KEYWORDS, MOCK_FIXTURES } from './mockFixtures.js';
+
+// In-browser stand-in for the Wren AI service, used by connections in demo
+// mode. It answers the same endpoints with `Response` objects so the API
+// client's parsing and error handling run unchanged. Jobs move through the
+// service's intermediate statuses over time, requests take a little while,
+// and a share of polls fail with a transient 503 to exercise the retries.
+const MIN_LATENCY_MS = 120;
+const MAX_LATENCY_MS = 450;
+const TRANSIENT_FAILURE_RATE = 0.08;
+
+const ASK_TIMELINE = [
+  ['understanding', 0],
+  ['searching', 600],
+  ['planning', 1400],
+  ['generating', 2200],
+  ['finished', 3200],
+];
+
+const CHART_TIMELINE = [
+  ['fetching', 0],
+  ['generating', 900],
+  ['finished', 1900],
+];
+
+const ADJUSTMENT_TIMELINE = [
+  ['understanding', 0],
+  ['generating', 800],
+  ['finished', 1600],
+];
+
+const RECOMMENDATION_TIMELINE = [
+  ['generating', 0],
+  ['finished', 1200],
+];
+
+const MARK_KEYWORDS = [
+  ['line', /\bline\b/],
+  ['area', /\barea\b/],
+  ['point', /\b(scatter|point|dot)s?\b/],
+  ['arc', /\b(pie|donut|arc)\b/],
+  ['bar', /\b(bar|column)s?\b/],
+];
+
+const jobs = new Map();
+
+const delay = (signal) =>
+  new Promise((resolve, reject) => {
+    const ms = MIN_LATENCY_MS + Math.random() * (MAX_LATENCY_MS - MIN_LATENCY_MS);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(new DOMException('Aborted', 'AbortError'));
+      },
+      { once: true },
+    );
+  });
+
+const json = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+
+const html = (status, body) =>
+  new Response(`<!doctype html><html><body><h1>${body}</h1></body></html>`, {
+    status,
+    headers: { 'Content-Type': 'text/html' },
+  });
+
+const normalizeText = (value) => (value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const findFixture = (question) => {
+  const text = normalizeText(question);
+  let best = null;
+  let bestScore = 0;
+  MOCK_FIXTURES.forEach((fixture) => {
+    const score = fixture.keywords.filter((keyword) => text.includes(keyword)).length;
+    if (score > bestScore) {
+      best = fixture;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+const findFixtureBySql = (sql) => {
+  const text = normalizeText(sql);
+  return MOCK_FIXTURES.find(
+    (fixture) =>
+      normalizeText(fixture.sql) === text || normalizeText(fixture.alternateSql) === text,
+  );
+};
+
+const getFailureTrigger = (text) => {
+  const value = normalizeText(text);
+  const trigger = Object.keys(FAILURE_TRIGGERS).find((phrase) => value.includes(phrase));
+  return trigger ? FAILURE_TRIGGERS[trigger] : null;
+};
+
+const isGeneralQuestion = (question) => {
+  const text = normalizeText(question).replace(/[^\w\s]/g, '');
+  return GENERAL_KEYWORDS.some(
+    (keyword) => text === keyword || text.startsWith(`${keyword} `),
+  );
+};
+
+const suggestQuestions = (exclude = []) =>
+  MOCK_FIXTURES.map((fixture) => fixture.question).filter(
+    (question) => !exclude.includes(question),
+  );
+
+const createJob = (timeline, buildResult) => {
+  const id = createId();
+  jobs.set(id, { timeline, buildResult, createdAt: Date.now(), stopped: false });
+  return id;
+};
+
+const getJobStatus = (job) => {
+  const elapsed = Date.now() - job.createdAt;
+  return job.timeline.filter(([, at]) => elapsed >= at).at(-1)[0];
+};
+
+// Jobs only live in memory, so ids saved before a page reload are unknown here;
+// they fail like an interrupted job instead of looking like a wrong base URL.
+const readJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) {
+    return json(200, {
+      status: 'failed',
+      error: {
+        code: 'DEMO_JOB_LOST',
+        message: 'This demo question was interrupted by a page reload. Ask it again.',
+      },
+    });
+  }
+  if (job.stopped) {
+    return json(200, { status: 'stopped' });
+  }
+  const status = getJobStatus(job);
+  const result = job.buildResult(status);
+  return json(200, { status, ...result });
+};
+
+const failedJob = (code, message) => () => ({
+  status: 'failed',
+  error: { code, message },
+});
+
+const createAsk = (body) => {
+  const question = body?.query || '';
+  // Like the real service, `mdl_hash` is optional here.
+  if (typeof body?.query !== 'string') {
+    return json(422, { detail: [{ loc: ['body', 'query'], msg: 'field required' }] });
+  }
+
+  const failure = getFailureTrigger(question);
+  if (failure === 'server') {
+    return html(500, 'Internal Server Error');
+  }
+  if (failure === 'validation') {
+    return json(422, { detail: [{ loc: ['body', 'query'], msg: 'query is not valid' }] });
+  }
+  if (failure === 'auth') {
+    return json(401, { detail: 'Invalid API key.' });
+  }
+  if (failure === 'job') {
+    return json(200, {
+      query_id: createJob(
+        ASK_TIMELINE,
+        failedJob('OTHERS', 'The demo service failed this job on purpose.'),
+      ),
+    });
+  }
+
+  if (isGeneralQuestion(question)) {
+    return json(200, {
+      query_id: createJob(ASK_TIMELINE, (status) =>
+        status === 'finished'
+          ? {
+              type: 'GENERAL',
+              general_type: 'GENERAL',
+              intent_reasoning:
+                'This is demo data about an online store. Ask about revenue, orders, customers, payments or deliveries.',
+              suggested_questions: suggestQuestions().slice(0, 3),
+              response: [],
+            }
+          : {},
+      ),
+    });
+  }
+
+  const fixture = findFixture(question);
+  if (!fixture) {
+    return json(200, {
+      query_id: createJob(ASK_TIMELINE, (status) =>
+        status === 'finished'
+          ? {
+              status: 'failed',
+              error: {
+                code: 'NO_RELEVANT_DATA',
+                message: 'No relevant data was found in the demo dataset.',
+              },
+            }
+          : {},
+      ),
+    });
+  }
+
+  return json(200, {
+    query_id: createJob(ASK_TIMELINE, (status) => {
+      const started = status !== 'understanding';
+      const result = {
+        type: 'TEXT_TO_SQL',
+        rephrased_question: started ? fixture.question : undefined,
+        intent_reasoning: started ? fixture.reasoning : undefined,
+      };
+      if (status !== 'finished') {
+        return result;
+      }
+      return {
+        ...result,
+        response: [
+          { sql: fixture.sql, type: 'llm' },
+          ...(fixture.alternateSql ? [{ sql: fixture.alternateSql, type: 'view' }] : []),
+        ],
+      };
+    }),
+  });
+};
+
+const createChart = (body) => {
+  const fixture = findFixtureBySql(body?.sql) || findFixture(body?.query);
+  const buildResult = fixture
+    ? (status) =>
+        status === 'finished'
+          ? {
+              response: {
+                reasoning: `A ${fixture.chart.mark.type} chart fits this result.`,
+                chart_type: fixture.chart.mark.type,
+                chart_schema: structuredClone(fixture.chart),
+              },
+            }
+          : {}
+    : failedJob('NO_CHART', 'The demo service has no chart for this SQL.');
+  return json(200, { query_id: createJob(CHART_TIMELINE, buildResult) });
+};
+
+const adjustSpec = (spec, instruction) => {
+  const text = normalizeText(instruction);
+  const mark = MARK_KEYWORDS.find(([, pattern]) => pattern.test(text))?.[0];
+  const swap = /\b(horizontal|vertical|swap|flip)\b/.test(text);
+  if (!mark && !swap) {
+    return null;
+  }
+
+  const next = { ...spec, mark: mark ? { type: mark } : spec.mark };
+  const { x, y, theta, color } = spec.encoding || {};
+  if (mark === 'arc' && !theta) {
+    const category = x?.type === 'quantitative' ? y : x;
+    const value = x?.type === 'quantitative' ? x : y;
+    next.encoding = {
+      theta: value,
+      color: { ...category, type: 'ordinal', sort: undefined },
+    };
+  } else if (mark && mark !== 'arc' && theta) {
+    next.encoding = { x: color, y: theta };
+  } else if (swap && x && y) {
+    next.encoding = {
+      ...spec.encoding,
+      x: { ...y, sort: undefined },
+      y: { ...x, sort: undefined },
+    };
+  }
+  return next;
+};
+
+const createAdjustment = (body) => {
+  const spec = adjustSpec(parseSpec(body?.chart_schema) || {}, body?.adjustment_command);
+  const buildResult = spec
+    ? (status) =>
+        status === 'finished'
+          ? { response: { reasoning: 'Adjusted as requested.', chart_schema: spec } }
+          : {}
+    : failedJob(
+        'OTHERS',
+        'The demo service only understands chart type changes such as "make it a line chart" or "make it horizontal".',
+      );
+  return json(200, { query_id: createJob(ADJUSTMENT_TIMELINE, buildResult) });
+};
+
+// Mirrors the service's request model, which differs from the one for asks.
+const validateRecommendation = (body) => {
+  const errors = [];
+  if (typeof body?.mdl !== 'string') {
+    errors.push({ loc: ['body', 'mdl'], msg: 'field required' });
+  }
+  const asked = body?.previous_questions;
+  if (
+    asked !== undefined &&
+    !(Array.isArray(asked) && asked.every((item) => typeof item === 'string'))
+  ) {
+    errors.push({
+      loc: ['body', 'previous_questions'],
+      msg: 'value is not a valid list',
+    });
+  }
+  ['max_questions', 'max_categories'].forEach((key) => {
+    if (body?.[key] !== undefined && !(Number.isInteger(body[key]) && body[key] > 0)) {
+      errors.push({ loc: ['body', key], msg: 'value is not a valid integer' });
+    }
+  });
+  return errors;
+};
+
+const createRecommendation = (body) => {
+  const errors = validateRecommendation(body);
+  if (errors.length) {
+    return json(422, { detail: errors });
+  }
+  const asked = body.previous_questions || [];
+  const questions = suggestQuestions(asked)
+    .slice(0, body.max_questions || 5)
+    .map((question) => ({ question, category: 'Demo' }));
+  return json(200, {
+    id: createJob(RECOMMENDATION_TIMELINE, (status) =>
+      status === 'finished' ? { response: { questions } } : {},
+    ),
+  });
+};
+
+const stopJob = (id) => {
+  const job = jobs.get(id);
+  if (job) {
+    job.stopped = true;
+  }
+  return json(200, { query_id: id });
+};
+
+const ROUTES = [
+  ['POST', /^\/v1\/asks$/, (_, body) => createAsk(body)],
+  ['GET', /^\/v1\/asks\/([^/]+)\/result$/, ([id]) => readJob(id)],
+  ['PATCH', /^\/v1\/asks\/([^/]+)$/, ([id]) => stopJob(id)],
+  ['POST', /^\/v1\/charts$/, (_, body) => createChart(body)],
+  ['GET', /^\/v1\/charts\/([^/]+)$/, ([id]) => readJob(id)],
+  ['PATCH', /^\/v1\/charts\/([^/]+)$/, ([id]) => stopJob(id)],
+  ['POST', /^\/v1\/chart-adjustments$/, (_, body) => createAdjustment(body)],
+  ['GET', /^\/v1\/chart-adjustments\/([^/]+)$/, ([id]) => readJob(id)],
+  ['POST', /^\/v1\/question-recommendations$/, (_, body) => createRecommendation(body)],
+  ['GET', /^\/v1\/question-recommendations\/([^/]+)$/, ([id]) => readJob(id)],
+];
+
+// Drop-in replacement for `fetch` against the AI service.
+export const mockFetch = async (url, { method = 'GET', body, signal } = {}) => {
+  await delay(signal);
+  const path = new URL(url, window.location.origin).pathname;
+  const route = ROUTES.find(
+    ([routeMethod, pattern]) => routeMethod === method && pattern.test(path),
+  );
+  if (!route) {
+    return json(404, { detail: 'Not Found' });
+  }
+  if (method === 'GET' && Math.random() < TRANSIENT_FAILURE_RATE) {
+    return html(503, 'Service Unavailable');
+  }
+  const [, pattern, handler] = route;
+  return handler(path.match(pattern).slice(1), body ? JSON.parse(body) : null);
+};
@@ -0,0 +1,63 @@
+// Stages reported by the AI service while an ask or chart job is running.
+// `correcting` only appears when the generated SQL failed validation.
+export const PIPELINE_STAGES = [
+  { id: 'understanding', label: 'Understanding question' },
+  { id: 'searching', label: 'Searching models' },
+  { id: 'planning', label: 'Planning' },
+  { id: 'generating', label: 'Generating SQL' },
+  { id: 'correcting', label: 'Correcting SQL', optional: true },
+  { id: 'chart:fetching', label: 'Fetching data' },
+  { id: 'chart:generating', label: 'Designing chart' },
+];
+
+const STAGE_IDS = new Set(PIPELINE_STAGES.map((stage) => stage.id));
+
+export const askStage = (status) => (STAGE_IDS.has(status) ? status : null);
+
+export const chartStage = (status) => {
+  const id = `chart:${status}`;
+  return STAGE_IDS.has(id) ? id : null;
+};
+
+export const createProgress = () => ({ visits: [], reasoning: '', rephrased: '' });
+
+export const enterStage = (progress, stageId, at = Date.now()) => {
+  if (!stageId) {
+    return progress;
+  }
+  const current = progress.visits[progress.visits.length - 1];
+  if (current?.stageId === stageId && !current.endedAt) {
+    return progress;
+  }
+  const visits = progress.visits.map((visit) =>
+    visit.endedAt ? visit : { ...visit, endedAt: at },
+  );
+  return { ...progress, visits: [...visits, { stageId, startedAt: at, endedAt: null }] };
+};
+
+export const finishProgress = (progress, at = Date.now()) => ({
+  ...progress,
+  visits: progress.visits.map((visit) =>
+    visit.endedAt ? visit : { ...visit, endedAt: at },
+  ),
+});
+
+// Ask results stream partial reasoning while the pipeline is still running.
+export const withAskDetails = (progress, result) => {
+  const reasoning =
+    result?.sql_generation_reasoning || result?.intent_reasoning || progress.reasoning;
+  const rephrased = result?.rephrased_question || progress.rephrased;
+  if (reasoning === progress.reasoning && rephrased === progress.rephrased) {
+    return progress;
+  }
+  return { ...progress, reasoning, rephrased };
+};
+
+export const getStageDurations = (progress, now = Date.now()) => {
+  const durations = {};
+  progress.visits.forEach((visit) => {
+    durations[visit.stageId] =
+      (durations[visit.stageId] || 0) + ((visit.endedAt || now) - visit.startedAt);
+  });
+  return durations;
+};
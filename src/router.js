@@ -0,0 +1,58 @@
+// Hash routes:
+//   #/thread/<threadId>
+//   #/thread/<threadId>/chart/<chartId>
+//   #/dashboard/<dashboardId>
+//   #/dashboard/<dashboardId>/chart/<chartId>
+// The pre-router `#pinned`, `#charts` and `#dashboard/<id>` forms still parse so
+// old bookmarks keep working.
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+export const parseRoute = (hash = '') => {
+  const path = hash.replace(/^#\/?/, '');
+  const [section, id, child, childId] = path.split('/').map(decode);
+
+  if (section === 'thread' && id) {
+    return {
+      view: 'charts',
+      threadId: id,
+      dashboardId: null,
+      chartId: child === 'chart' && childId ? childId : null,
+    };
+  }
+
+  if (section === 'dashboard' && id) {
+    return {
+      view: 'pinned',
+      threadId: null,
+      dashboardId: id,
+      chartId: child === 'chart' && childId ? childId : null,
+    };
+  }
+
+  return {
+    view: section === 'pinned' || section === 'dashboard' ? 'pinned' : 'charts',
+    threadId: null,
+    dashboardId: null,
+    chartId: null,
+  };
+};
+
+export const buildHash = ({ view, threadId, dashboardId, chartId }) => {
+  const chart = chartId ? `/chart/${encodeURIComponent(chartId)}` : '';
+  if (view === 'pinned') {
+    return dashboardId
+      ? `#/dashboard/${encodeURIComponent(dashboardId)}${chart}`
+      : '#/dashboard';
+  }
+  return threadId ? `#/thread/${encodeURIComponent(threadId)}${chart}` : '#/';
+};
+
+export const buildRouteUrl = (route) =>
+  `${window.location.origin}${window.location.pathname}${window.location.search}${buildHash(route)}`;
@@ -0,0 +1,124 @@
+import { getChartRows, getColumns } from './chartData.js';
+
+const SNIPPET_CONTEXT = 40;
+
+export const EMPTY_THREAD_FILTERS = { query: '', from: '', to: '', pinnedOnly: false };
+
+export const getSearchTerms = (query) =>
+  query.toLowerCase().split(/\s+/).filter(Boolean);
+
+export const hasThreadFilters = (filters) =>
+  Boolean(filters.from || filters.to || filters.pinnedOnly);
+
+// Column names are pulled out of the embedded data once per threads change so
+// typing in the search box doesn't re-parse every spec.
+export const buildSearchIndex = (threads) =>
+  threads.map((thread) => ({
+    thread,
+    charts: thread.charts.map((chart) => ({
+      chart,
+      fields: [
+        { id: 'query', label: 'Question', text: chart.query || '' },
+        { id: 'title', label: 'Title', text: chart.title || '' },
+        { id: 'sql', label: 'SQL', text: chart.sql || '' },
+        {
+          id: 'columns',
+          label: 'Columns',
+          text: getColumns(getChartRows(chart.spec)).join(', '),
+        },
+      ],
+    })),
+  }));
+
+const toDayStart = (value) => (value ? new Date(`${value}T00:00:00`).getTime() : null);
+
+const toDayEnd = (value) => (value ? new Date(`${value}T23:59:59.999`).getTime() : null);
+
+// A thread is in range when it or any of its charts was created in the range.
+const isInDateRange = (thread, from, to) => {
+  const start = toDayStart(from);
+  const end = toDayEnd(to);
+  if (start === null && end === null) {
+    return true;
+  }
+  return [thread.createdAt, ...thread.charts.map((chart) => chart.createdAt)]
+    .map((value) => new Date(value).getTime())
+    .some(
+      (time) =>
+        !Number.isNaN(time) &&
+        (start === null || time >= start) &&
+        (end === null || time <= end),
+    );
+};
+
+export const filterThreads = (threads, filters, pinnedChartIds) =>
+  threads.filter(
+    (thread) =>
+      isInDateRange(thread, filters.from, filters.to) &&
+      (!filters.pinnedOnly || thread.charts.some((chart) => pinnedChartIds.has(chart.id))),
+  );
+
+const matchesAny = (text, terms) => {
+  const value = text.toLowerCase();
+  return terms.some((term) => value.includes(term));
+};
+
+// Every term has to appear somewhere in the chart or its thread title; the
+// fields that contain at least one term are returned for display.
+export const searchThreads = (index, filters, pinnedChartIds) => {
+  const terms = getSearchTerms(filters.query);
+  const allowed = new Set(
+    filterThreads(
+      index.map((entry) => entry.thread),
+      filters,
+      pinnedChartIds,
+    ).map((thread) => thread.id),
+  );
+
+  return index
+    .filter((entry) => allowed.has(entry.thread.id))
+    .map(({ thread, charts }) => {
+      const title = thread.title.toLowerCase();
+      const hits = charts
+        .filter(({ fields }) => {
+          const haystack = `${title}\n${fields.map((field) => field.text).join('\n')}`;
+          return terms.every((term) => haystack.toLowerCase().includes(term));
+        })
+        .map(({ chart, fields }) => ({
+          chart,
+          fields: fields.filter((field) => matchesAny(field.text, terms)),
+        }));
+      const titleMatch = terms.every((term) => title.includes(term));
+      return { thread, titleMatch, hits };
+    })
+    .filter((result) => result.titleMatch || result.hits.length);
+};
+
+export const getSnippet = (text, terms) => {
+  const value = text.replace(/\s+/g, ' ');
+  const lower = value.toLowerCase();
+  const first = Math.min(
+    ...terms.map((term) => lower.indexOf(term)).filter((position) => position >= 0),
+  );
+  if (!Number.isFinite(first) || value.length <= SNIPPET_CONTEXT * 2) {
+    return value;
+  }
+  const start = Math.max(0, first - SNIPPET_CONTEXT);
+  const end = Math.min(value.length, first + SNIPPET_CONTEXT);
+  return `${start > 0 ? '...' : ''}${value.slice(start, end)}${
+    end < value.length ? '...' : ''
+  }`;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const splitMatches = (text, terms) => {
+  if (!terms.length) {
+    return [{ text, match: false }];
+  }
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text
+    .split(pattern)
+    .filter(Boolean)
+    .map((part) => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
@@ -0,0 +1,50 @@
+// Global keyboard shortcuts. Letter keys are matched on `event.code` so Alt
+// combinations still work on macOS, where Alt changes the typed character.
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+export const MOD_LABEL = IS_MAC ? '⌘' : 'Ctrl';
+
+export const SHORTCUTS = [
+  { id: 'palette', keys: `${MOD_LABEL}+K`, description: 'Open the command palette' },
+  { id: 'focusQuery', keys: '/', description: 'Focus the question bar' },
+  { id: 'newThread', keys: 'Alt+N', description: 'Start a new chat' },
+  { id: 'previousThread', keys: 'Alt+↑', description: 'Go to the previous thread' },
+  { id: 'nextThread', keys: 'Alt+↓', description: 'Go to the next thread' },
+  { id: 'toggleSidebar', keys: 'Alt+B', description: 'Show or hide the thread list' },
+  { id: 'confirm', keys: 'Enter', description: 'Confirm the open dialog' },
+  { id: 'cancel', keys: 'Esc', description: 'Cancel or close the open dialog' },
+];
+
+export const getShortcutKeys = (id) =>
+  SHORTCUTS.find((shortcut) => shortcut.id === id)?.keys || '';
+
+export const isEditableTarget = (target) =>
+  Boolean(
+    target?.isContentEditable ||
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName),
+  );
+
+const isModKey = (event) => (IS_MAC ? event.metaKey : event.ctrlKey);
+
+// Maps a keydown event to a shortcut id, or null.
+export const getShortcut = (event) => {
+  if (isModKey(event) && !event.altKey && event.code === 'KeyK') {
+    return 'palette';
+  }
+  if (event.altKey && !event.ctrlKey && !event.metaKey) {
+    if (event.code === 'KeyN') return 'newThread';
+    if (event.code === 'KeyB') return 'toggleSidebar';
+    if (event.key === 'ArrowUp') return 'previousThread';
+    if (event.key === 'ArrowDown') return 'nextThread';
+    return null;
+  }
+  if (
+    event.key === '/' &&
+    !event.ctrlKey &&
+    !event.metaKey &&
+    !isEditableTarget(event.target)
+  ) {
+    return 'focusQuery';
+  }
+  return null;
+};
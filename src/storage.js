@@ -0,0 +1,377 @@
+import { createId } from './chartVersions.js';
+
+// Workspace persistence. Records live in a single IndexedDB object store keyed
+// by name; `SCHEMA_VERSION` tracks the shape of those records and `MIGRATIONS`
+// upgrades older data (including the original localStorage keys) step by step.
+
+const DB_NAME = 'wren-ui-lite';
+const DB_VERSION = 1;
+const STORE_NAME = 'records';
+const SCHEMA_KEY = 'schemaVersion';
+
+export const RECORD_KEYS = {
+  threads: 'threads',
+  dashboards: 'dashboards',
+  activeThreadId: 'activeThreadId',
+  activeDashboardId: 'activeDashboardId',
+  pendingQuestions: 'pendingQuestions',
+  connections: 'connections',
+  trash: 'trash',
+};
+
+const RECORD_LABELS = {
+  threads: 'your threads',
+  dashboards: 'your dashboards',
+  activeThreadId: 'the selected thread',
+  activeDashboardId: 'the selected dashboard',
+  pendingQuestions: 'questions in progress',
+  connections: 'your connection settings',
+  trash: 'the trash',
+};
+
+const LEGACY_KEYS = {
+  chartHistory: 'wren-ui-lite:chart-history',
+  threads: 'wren-ui-lite:threads',
+  activeThread: 'wren-ui-lite:active-thread',
+  pinnedCharts: 'wren-ui-lite:pinned-charts',
+  dashboards: 'wren-ui-lite:dashboards',
+  activeDashboard: 'wren-ui-lite:active-dashboard',
+};
+
+const readLegacyJson = (key) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : null;
+  } catch {
+    return null;
+  }
+};
+
+// Each migration receives the records written by the previous version and
+// returns the records for its own version.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Import threads from localStorage (and the older chart history).',
+    migrate: (records) => {
+      const storedThreads = readLegacyJson(LEGACY_KEYS.threads);
+      if (Array.isArray(storedThreads)) {
+        return { ...records, threads: storedThreads };
+      }
+      const legacyCharts = readLegacyJson(LEGACY_KEYS.chartHistory);
+      if (Array.isArray(legacyCharts) && legacyCharts.length) {
+        return {
+          ...records,
+          threads: [
+            {
+              id: createId(),
+              title: legacyCharts[0]?.query || 'Thread',
+              createdAt: legacyCharts[0]?.createdAt || new Date().toISOString(),
+              pinned: false,
+              charts: legacyCharts,
+            },
+          ],
+        };
+      }
+      return { ...records, threads: [] };
+    },
+  },
+  {
+    version: 2,
+    description: 'Import dashboards from localStorage (and the single pinned list).',
+    migrate: (records) => {
+      const storedDashboards = readLegacyJson(LEGACY_KEYS.dashboards);
+      if (Array.isArray(storedDashboards)) {
+        return { ...records, dashboards: storedDashboards };
+      }
+      const legacyPinned = readLegacyJson(LEGACY_KEYS.pinnedCharts);
+      if (Array.isArray(legacyPinned) && legacyPinned.length) {
+        return {
+          ...records,
+          dashboards: [
+            {
+              id: createId(),
+              name: 'Dashboard',
+              createdAt: new Date().toISOString(),
+              charts: legacyPinned,
+            },
+          ],
+        };
+      }
+      return { ...records, dashboards: [] };
+    },
+  },
+  {
+    version: 3,
+    description: 'Import the active thread and dashboard selection.',
+    migrate: (records) => ({
+      ...records,
+      activeThreadId: localStorage.getItem(LEGACY_KEYS.activeThread),
+      activeDashboardId: localStorage.getItem(LEGACY_KEYS.activeDashboard),
+    }),
+  },
+  {
+    version: 4,
+    description: 'Replace the raw auth header pair on connections with a type and token.',
+    migrate: (records) => {
+      if (!Array.isArray(records.connections?.profiles)) {
+        return records;
+      }
+      const bearer = /^bearer\s+/i;
+      const profiles = records.connections.profiles.map((profile) => {
+        const { authHeaderName, authHeaderValue, ...rest } = profile || {};
+        if (rest.authType) {
+          return { ...rest, authHeaderName };
+        }
+        if (!authHeaderValue) {
+          return { ...rest, authType: 'none' };
+        }
+        if (/^authorization$/i.test(authHeaderName || '') && bearer.test(authHeaderValue)) {
+          return {
+            ...rest,
+            authType: 'bearer',
+            authToken: authHeaderValue.replace(bearer, ''),
+          };
+        }
+        return { ...rest, authType: 'apiKey', authHeaderName, authToken: authHeaderValue };
+      });
+      return { ...records, connections: { ...records.connections, profiles } };
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export class StorageWriteError extends Error {
+  constructor(key, cause) {
+    const label = RECORD_LABELS[key] || key;
+    const isQuota =
+      cause?.name === 'QuotaExceededError' ||
+      cause?.name === 'NS_ERROR_DOM_QUOTA_REACHED';
+    super(
+      isQuota
+        ? `Could not save ${label}: browser storage is full. Delete old threads or charts to free up space.`
+        : `Could not save ${label}: ${cause?.message || 'unknown storage error'}.`,
+    );
+    this.name = 'StorageWriteError';
+    this.key = key;
+    this.isQuota = isQuota;
+    this.cause = cause;
+  }
+}
+
+// A record that can't be parsed is left untouched in storage and reported on
+// its own, so the rest of the workspace still loads.
+export class StorageReadError extends Error {
+  constructor(key, cause) {
+    const label = RECORD_LABELS[key] || key;
+    super(
+      `Could not read ${label}: the saved data is corrupt. It is kept as it is, and changes to it won't be saved.`,
+    );
+    this.name = 'StorageReadError';
+    this.key = key;
+    this.cause = cause;
+  }
+}
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error);
+    transaction.onerror = () => reject(transaction.error);
+  });
+
+// IndexedDB exists but can't be opened (disabled storage, some private modes).
+class DatabaseOpenError extends Error {
+  constructor(cause) {
+    super(`Could not open IndexedDB: ${cause?.message || 'unknown error'}.`);
+    this.name = 'DatabaseOpenError';
+    this.cause = cause;
+  }
+}
+
+const createIndexedDbBackend = () => {
+  let dbPromise = null;
+
+  // A failed or blocked open is not cached, so the next read or write retries.
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const fail = (error) => {
+          dbPromise = null;
+          reject(error);
+        };
+        let request;
+        try {
+          request = indexedDB.open(DB_NAME, DB_VERSION);
+        } catch (err) {
+          fail(new DatabaseOpenError(err));
+          return;
+        }
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+            request.result.createObjectStore(STORE_NAME);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => fail(new DatabaseOpenError(request.error));
+        request.onblocked = () => fail(new Error('Storage is blocked by another open tab.'));
+      });
+    }
+    return dbPromise;
+  };
+
+  return {
+    name: 'IndexedDB',
+    async readAll() {
+      const db = await open();
+      const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+      const [keys, values] = await Promise.all([
+        requestToPromise(store.getAllKeys()),
+        requestToPromise(store.getAll()),
+      ]);
+      return {
+        records: Object.fromEntries(keys.map((key, index) => [key, values[index]])),
+        unreadable: [],
+      };
+    },
+    async writeMany(entries) {
+      const db = await open();
+      const transaction = db.transaction(STORE_NAME, 'readwrite');
+      const store = transaction.objectStore(STORE_NAME);
+      Object.entries(entries).forEach(([key, value]) => {
+        if (value === null || value === undefined) {
+          store.delete(key);
+        } else {
+          store.put(value, key);
+        }
+      });
+      await transactionDone(transaction);
+    },
+  };
+};
+
+// Used when IndexedDB is missing or can't be opened (some private browsing modes).
+const createLocalStorageBackend = () => {
+  const prefix = `${DB_NAME}:db:`;
+  return {
+    name: 'localStorage',
+    async readAll() {
+      const records = {};
+      const unreadable = [];
+      for (let i = 0; i < localStorage.length; i += 1) {
+        const key = localStorage.key(i);
+        if (key?.startsWith(prefix)) {
+          const name = key.slice(prefix.length);
+          try {
+            records[name] = JSON.parse(localStorage.getItem(key));
+          } catch (err) {
+            unreadable.push(new StorageReadError(name, err));
+          }
+        }
+      }
+      return { records, unreadable };
+    },
+    async writeMany(entries) {
+      Object.entries(entries).forEach(([key, value]) => {
+        if (value === null || value === undefined) {
+          localStorage.removeItem(`${prefix}${key}`);
+        } else {
+          localStorage.setItem(`${prefix}${key}`, JSON.stringify(value));
+        }
+      });
+    },
+  };
+};
+
+let backend =
+  typeof indexedDB !== 'undefined' ? createIndexedDbBackend() : createLocalStorageBackend();
+
+// Switches to localStorage for the rest of the session when IndexedDB fails to
+// open; a blocked open is retried on the next call instead.
+const withBackend = async (operation) => {
+  try {
+    return await operation(backend);
+  } catch (err) {
+    if (!(err instanceof DatabaseOpenError)) {
+      throw err;
+    }
+    console.warn(`${err.message} Falling back to localStorage.`);
+    backend = createLocalStorageBackend();
+    return operation(backend);
+  }
+};
+
+export const getStorageBackendName = () => backend.name;
+
+// Resolves with the records plus a StorageReadError for each unreadable one.
+const runLoad = async () => {
+  const { records: stored, unreadable } = await withBackend((store) => store.readAll());
+  const currentVersion = Number(stored[SCHEMA_KEY]) || 0;
+
+  // Without a readable schema version, or when migrations would have to run
+  // around a missing record (and might recreate it), nothing can load safely.
+  if (unreadable.length && (!(SCHEMA_KEY in stored) || currentVersion !== SCHEMA_VERSION)) {
+    throw new Error(
+      `Saved data is corrupt (${unreadable.map((err) => err.key).join(', ')}) and can't be upgraded safely.`,
+    );
+  }
+
+  if (currentVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `Saved data uses schema v${currentVersion}, but this app only understands up to v${SCHEMA_VERSION}. Please update the app.`,
+    );
+  }
+
+  if (currentVersion === SCHEMA_VERSION) {
+    return { records: stored, readErrors: unreadable };
+  }
+
+  const migrated = MIGRATIONS.filter(({ version }) => version > currentVersion).reduce(
+    (records, { migrate }) => migrate(records),
+    stored,
+  );
+  await withBackend((store) =>
+    store.writeMany({ ...migrated, [SCHEMA_KEY]: SCHEMA_VERSION }),
+  );
+
+  if (currentVersion === 0) {
+    Object.values(LEGACY_KEYS).forEach((key) => localStorage.removeItem(key));
+  }
+  return { records: migrated, readErrors: [] };
+};
+
+let loadPromise = null;
+
+// Memoized so a double-mounted effect cannot run the migrations twice.
+export const loadWorkspace = () => {
+  if (!loadPromise) {
+    loadPromise = runLoad().catch((err) => {
+      loadPromise = null;
+      throw err;
+    });
+  }
+  return loadPromise;
+};
+
+export const saveRecord = async (key, value) => {
+  try {
+    await withBackend((store) => store.writeMany({ [key]: value }));
+  } catch (err) {
+    throw new StorageWriteError(key, err);
+  }
+};
+
+export const estimateStorage = async () => {
+  if (!navigator.storage?.estimate) {
+    return null;
+  }
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { usage, quota };
+};
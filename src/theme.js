@@ -0,0 +1,50 @@
+// The theme preference is kept in localStorage rather than the workspace store
+// because it has to be read synchronously before the first paint.
+const THEME_KEY = 'wren-ui-lite:theme';
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+export const THEME_MODES = [
+  { id: 'system', label: 'System' },
+  { id: 'light', label: 'Light' },
+  { id: 'dark', label: 'Dark' },
+];
+
+export const loadThemeMode = () => {
+  try {
+    const stored = localStorage.getItem(THEME_KEY);
+    return THEME_MODES.some((mode) => mode.id === stored) ? stored : 'system';
+  } catch {
+    return 'system';
+  }
+};
+
+export const saveThemeMode = (mode) => {
+  try {
+    localStorage.setItem(THEME_KEY, mode);
+  } catch {
+    // The preference just won't survive a reload.
+  }
+};
+
+export const resolveTheme = (mode) => {
+  if (mode === 'light' || mode === 'dark') {
+    return mode;
+  }
+  return window.matchMedia?.(DARK_QUERY).matches ? 'dark' : 'light';
+};
+
+export const applyTheme = (theme) => {
+  document.documentElement.dataset.theme = theme;
+  document.documentElement.style.colorScheme = theme;
+};
+
+export const watchSystemTheme = (onChange) => {
+  const media = window.matchMedia?.(DARK_QUERY);
+  if (!media) {
+    return () => {};
+  }
+  const listener = () => onChange(media.matches ? 'dark' : 'light');
+  media.addEventListener('change', listener);
+  return () => media.removeEventListener('change', listener);
+};
@@ -0,0 +1,70 @@
+import { createId } from './chartVersions.js';
+
+// Deleted threads, dashboards and dashboard charts are kept in the trash until the
+// retention period runs out, so they can be restored. Each item remembers
+// where it came from (list position, dashboard) so a restore puts it back.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RETENTION_OPTIONS = [1, 7, 30, 90];
+
+export const DEFAULT_RETENTION_DAYS = 30;
+
+export const EMPTY_TRASH = { retentionDays: DEFAULT_RETENTION_DAYS, items: [] };
+
+export const normalizeTrash = (stored) => ({
+  retentionDays: RETENTION_OPTIONS.includes(stored?.retentionDays)
+    ? stored.retentionDays
+    : DEFAULT_RETENTION_DAYS,
+  items: Array.isArray(stored?.items)
+    ? stored.items.filter((item) => item?.thread || item?.dashboard || item?.chart)
+    : [],
+});
+
+export const createThreadTrashItem = (thread, index) => ({
+  id: createId(),
+  kind: 'thread',
+  deletedAt: new Date().toISOString(),
+  index,
+  thread,
+});
+
+export const createDashboardTrashItem = (dashboard, index) => ({
+  id: createId(),
+  kind: 'dashboard',
+  deletedAt: new Date().toISOString(),
+  index,
+  dashboard,
+});
+
+export const createChartTrashItem = (chart, dashboard, index) => ({
+  id: createId(),
+  kind: 'chart',
+  deletedAt: new Date().toISOString(),
+  index,
+  dashboardId: dashboard.id,
+  dashboardName: dashboard.name,
+  chart,
+});
+
+export const getTrashItemTitle = (item) => {
+  if (item.kind === 'thread') return item.thread.title;
+  if (item.kind === 'dashboard') return item.dashboard.name;
+  return item.chart.title || item.chart.query;
+};
+
+export const getExpiresAt = (item, retentionDays) =>
+  new Date(item.deletedAt).getTime() + retentionDays * DAY_MS;
+
+export const purgeExpired = (trash, now = Date.now()) => {
+  const items = trash.items.filter(
+    (item) => getExpiresAt(item, trash.retentionDays) > now,
+  );
+  return items.length === trash.items.length ? trash : { ...trash, items };
+};
+
+export const insertAt = (list, index, entry) => {
+  const position = Number.isInteger(index)
+    ? Math.min(Math.max(index, 0), list.length)
+    : list.length;
+  return [...list.slice(0, position), entry, ...list.slice(position)];
+};
@@ -0,0 +1,164 @@
+import { SCHEMA_VERSION } from './storage.js';
+
+export const BUNDLE_FORMAT = 'wren-ui-lite-workspace';
+export const BUNDLE_VERSION = 1;
+const MAX_REPORTED_ISSUES = 5;
+const MAX_LISTED_NAMES = 3;
+
+export class BundleValidationError extends Error {
+  constructor(issues) {
+    super(issues[0]);
+    this.name = 'BundleValidationError';
+    this.issues = issues;
+  }
+}
+
+export const createBundle = ({ threads, dashboards, activeThreadId = null }) => ({
+  format: BUNDLE_FORMAT,
+  version: BUNDLE_VERSION,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  activeThreadId,
+  threads,
+  dashboards,
+});
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const isValidDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Timestamps are optional on items, but one that is present must parse.
+const validateDates = (item, path, keys, issues) => {
+  keys.forEach((key) => {
+    if (item[key] !== undefined && item[key] !== null && !isValidDate(item[key])) {
+      issues.push(`${path}.${key} is not a valid date (${JSON.stringify(item[key])}).`);
+    }
+  });
+};
+
+const validateCharts = (charts, path, issues) => {
+  if (!Array.isArray(charts)) {
+    issues.push(`${path}.charts must be a list of charts.`);
+    return;
+  }
+  charts.forEach((chart, index) => {
+    const chartPath = `${path}.charts[${index}]`;
+    if (!chart || typeof chart !== 'object') {
+      issues.push(`${chartPath} is not a chart object.`);
+      return;
+    }
+    if (!isNonEmptyString(chart.id)) {
+      issues.push(`${chartPath} is missing an id.`);
+    }
+    if (!chart.spec || !['object', 'string'].includes(typeof chart.spec)) {
+      issues.push(`${chartPath} ("${chart.title || chart.query || 'untitled'}") has no chart spec.`);
+    }
+    validateDates(chart, chartPath, ['createdAt', 'refreshedAt'], issues);
+    if (Array.isArray(chart.versions)) {
+      chart.versions.forEach((version, versionIndex) => {
+        if (version && typeof version === 'object') {
+          const versionPath = `${chartPath}.versions[${versionIndex}]`;
+          validateDates(version, versionPath, ['createdAt', 'refreshedAt'], issues);
+        }
+      });
+    }
+  });
+};
+
+const validateCollection = (items, name, label, issues) => {
+  if (items === undefined) {
+    return;
+  }
+  if (!Array.isArray(items)) {
+    issues.push(`"${name}" must be a list.`);
+    return;
+  }
+  const seen = new Set();
+  items.forEach((item, index) => {
+    const path = `${name}[${index}]`;
+    if (!item || typeof item !== 'object') {
+      issues.push(`${path} is not a ${label} object.`);
+      return;
+    }
+    if (!isNonEmptyString(item.id)) {
+      issues.push(`${path} is missing an id.`);
+    } else if (seen.has(item.id)) {
+      issues.push(`${path} repeats the ${label} id "${item.id}".`);
+    } else {
+      seen.add(item.id);
+    }
+    validateDates(item, path, ['createdAt'], issues);
+    validateCharts(item.charts, path, issues);
+  });
+};
+
+export const parseBundle = (text) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch {
+    throw new BundleValidationError(['The file is not valid JSON.']);
+  }
+
+  if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+    throw new BundleValidationError([
+      'This file is not a Wren UI Lite workspace export.',
+    ]);
+  }
+  if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+    throw new BundleValidationError(['The workspace file has no valid version.']);
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new BundleValidationError([
+      `The workspace file was created by a newer version of the app (format v${bundle.version}). Please update before importing it.`,
+    ]);
+  }
+
+  if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) {
+    throw new BundleValidationError(['The workspace file has no valid schema version.']);
+  }
+  if (bundle.schemaVersion > SCHEMA_VERSION) {
+    throw new BundleValidationError([
+      `The workspace file uses a newer data schema (v${bundle.schemaVersion}) than this app understands (v${SCHEMA_VERSION}). Please update before importing it.`,
+    ]);
+  }
+
+  const issues = [];
+  if (!isValidDate(bundle.exportedAt)) {
+    issues.push('The workspace file has no valid export date ("exportedAt").');
+  }
+  validateCollection(bundle.threads, 'threads', 'thread', issues);
+  validateCollection(bundle.dashboards, 'dashboards', 'dashboard', issues);
+  if (issues.length) {
+    const reported = issues.slice(0, MAX_REPORTED_ISSUES);
+    if (issues.length > reported.length) {
+      reported.push(`...and ${issues.length - reported.length} more problems.`);
+    }
+    throw new BundleValidationError(reported);
+  }
+
+  return {
+    ...bundle,
+    threads: bundle.threads || [],
+    dashboards: bundle.dashboards || [],
+  };
+};
+
+// Items whose id already exists locally are kept as-is and returned as skipped.
+export const mergeById = (existing, incoming) => {
+  const ids = new Set(existing.map((item) => item.id));
+  const added = incoming.filter((item) => !ids.has(item.id));
+  return {
+    items: [...existing, ...added],
+    added: added.length,
+    skipped: incoming.filter((item) => ids.has(item.id)),
+  };
+};
+
+// e.g. `2 threads ("Sales", "Churn")`, naming at most a few of them.
+export const describeSkipped = (items, label, getName) => {
+  const names = items.slice(0, MAX_LISTED_NAMES).map((item) => `"${getName(item)}"`);
+  const more =
+    items.length > names.length ? ` and ${items.length - names.length} more` : '';
+  return `${items.length} ${label} (${names.join(', ')}${more})`;
+};